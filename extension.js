@@ -21,6 +21,10 @@ function activate(context) {
     }
   });
   context.subscriptions.push(setupApiCommand);
+  const usageSummaryCommand = vscode.commands.registerCommand('vsx.showUsageSummary', () =>
+    provider.showUsageSummary()
+  );
+  context.subscriptions.push(usageSummaryCommand);
   const disposable = vscode.commands.registerCommand(
     "vsx.helloWorld",
     function () {
@@ -8,7 +8,13 @@ const wrappers = {
   fileHeader: "The following files are provided for context. Use them as reference when answering.\n\nFile contents are provided as a JSON array with {path, label, content} objects. "
 };
 
-async function execute({ router, modelId, prompt, requestId }) {
+// Tools the model may call while answering (see route/tools), offered when
+// `vsx.tools.enabled` is on.
+const tools = ["list_workspace_files", "read_workspace_file"];
+
+// `options` is forwarded to router.sendPrompt (streaming callbacks,
+// conversation id, the request an edit replaces, ...).
+async function execute({ router, modelId, prompt, requestId, options = {} }) {
   if (!router) throw new Error("Router is required for ask mode");
 
   let procedureResult = null;
@@ -37,7 +43,7 @@ async function execute({ router, modelId, prompt, requestId }) {
     console.error("Error parsing procedure:", e);
   }
 
-  const resp = await router.sendPrompt(modelId, prompt, id);
+  const resp = await router.sendPrompt(modelId, prompt, id, Object.assign({ requestId }, options));
   // Ensure text is always a string for the UI. Prefer resp.text, otherwise
   // stringify resp.raw when available.
   let text = '';
@@ -52,7 +58,36 @@ async function execute({ router, modelId, prompt, requestId }) {
   // Provide the actual raw provider response as `raw` so parsers can inspect it.
   const raw = resp && resp.raw !== undefined ? resp.raw : resp;
 
-  return { text, raw, procedureResult };
+  // Which model actually answered; differs from modelId after a fallback.
+  const model = resp && resp.model ? resp.model : modelId;
+  const requestedModel = resp && resp.requestedModel ? resp.requestedModel : modelId;
+  // attached files cut down to fit the context window
+  const trimmedFiles = resp && Array.isArray(resp.trimmedFiles) ? resp.trimmedFiles : [];
+
+  // token counts and running totals, when the provider reported usage
+  const usage = resp && resp.usage ? resp.usage : null;
+
+  // tools the model called on the way to its answer
+  const toolCalls = resp && Array.isArray(resp.toolCalls) ? resp.toolCalls : [];
+
+  // { value, valid, errors } when a JSON Schema was in effect
+  const structured = resp && resp.structured ? resp.structured : null;
+
+  // milliseconds the model spent reasoning, measured while streaming
+  const reasoningMs = resp && resp.reasoningMs ? resp.reasoningMs : null;
+
+  return {
+    text,
+    raw,
+    procedureResult,
+    model,
+    requestedModel,
+    trimmedFiles,
+    usage,
+    toolCalls,
+    structured,
+    reasoningMs,
+  };
 }
 
-module.exports = { id, name, execute, wrappers };
+module.exports = { id, name, execute, wrappers, tools };
@@ -0,0 +1,28 @@
+// Cancellation helpers shared by the provider clients.
+
+function createAbortError() {
+  const err = new Error("Request cancelled");
+  err.name = "AbortError";
+  return err;
+}
+
+function isAbortError(err) {
+  return !!err && err.name === "AbortError";
+}
+
+// Ties an http.ClientRequest to an AbortSignal: aborting destroys the request,
+// which surfaces as an AbortError on the request's 'error' event. Returns false
+// when the signal was already aborted (the request is destroyed right away).
+function bindAbortSignal(req, signal) {
+  if (!signal) return true;
+  if (signal.aborted) {
+    req.destroy(createAbortError());
+    return false;
+  }
+  const onAbort = () => req.destroy(createAbortError());
+  signal.addEventListener("abort", onAbort, { once: true });
+  req.on("close", () => signal.removeEventListener("abort", onAbort));
+  return true;
+}
+
+module.exports = { createAbortError, isAbortError, bindAbortSignal };
@@ -0,0 +1,204 @@
+const transport = require("./transport");
+const { bindAbortSignal } = require("./abort");
+const { createHttpError } = require("./errors");
+const { pickParameters } = require("./parameters");
+
+const ANTHROPIC_VERSION = "2023-06-01";
+
+function ensureApiKey(apiKey) {
+  if (!apiKey) throw new Error("ANTHROPIC_API_KEY not provided");
+}
+
+// thinking_budget enables extended thinking; the API requires it to be at
+// least 1024 and below max_tokens.
+const modelConfigs = {
+  "claude-sonnet-4-5": {
+    max_tokens: 16000,
+    thinking_budget: 4096,
+  },
+  "claude-opus-4-1": {
+    max_tokens: 16000,
+    thinking_budget: 4096,
+  },
+  "claude-3-5-haiku-latest": {
+    max_tokens: 8192,
+  },
+};
+
+function findConfig(modelId) {
+  if (modelConfigs[modelId]) return modelConfigs[modelId];
+  return { max_tokens: 8192 };
+}
+
+// A user turn with attached images becomes content blocks: the images as
+// base64 `image` blocks first, which is where Anthropic recommends them, then
+// the text.
+function toUserContent(part) {
+  if (!Array.isArray(part.images) || !part.images.length) return part.content;
+  return part.images
+    .map((image) => ({
+      type: "image",
+      source: { type: "base64", media_type: image.mimeType, data: image.data },
+    }))
+    .concat([{ type: "text", text: String(part.content || "") }]);
+}
+
+function toBlocks(content) {
+  return Array.isArray(content) ? content : [{ type: "text", text: String(content) }];
+}
+
+// The Messages API answers 400 to a turn with empty content, and wants user
+// and assistant to alternate. Empty turns (an assistant reply that was only
+// tool calls, a cancelled answer) are dropped, and a turn that follows one of
+// the same role is folded into it.
+function pushTurn(messages, role, content) {
+  const empty = Array.isArray(content) ? content.length === 0 : !String(content || "").trim();
+  if (empty) return;
+  const last = messages[messages.length - 1];
+  if (!last || last.role !== role) {
+    messages.push({ role, content });
+  } else if (typeof last.content === "string" && typeof content === "string") {
+    last.content = `${last.content}\n\n${content}`;
+  } else {
+    last.content = toBlocks(last.content).concat(toBlocks(content));
+  }
+}
+
+// promptParts may mix plain strings (user turns) with { role, content }
+// messages. System messages are hoisted into the top-level `system` field
+// because the Messages API does not accept them inside `messages`.
+// parameters may override max_tokens, temperature, top_p and top_k.
+function buildPayload(modelId, promptParts, stream, parameters) {
+  const cfg = Object.assign({}, findConfig(modelId), pickParameters(parameters));
+  const systemParts = [];
+  const messages = [];
+  for (const part of promptParts || []) {
+    if (typeof part === "string") {
+      pushTurn(messages, "user", part);
+    } else if (part && part.role === "system") {
+      if (part.content) systemParts.push(String(part.content));
+    } else if (part && part.role === "user") {
+      pushTurn(messages, "user", toUserContent(part));
+    } else if (part && part.role === "assistant") {
+      pushTurn(messages, "assistant", part.content);
+    }
+  }
+  if (messages.length === 0) messages.push({ role: "user", content: "" });
+
+  const payload = {
+    model: modelId,
+    max_tokens: cfg.max_tokens,
+    messages,
+    stream: !!stream,
+  };
+  if (systemParts.length) payload.system = systemParts.join("\n\n");
+
+  // A lowered max_tokens shrinks the thinking budget with it; below the
+  // API minimum thinking is left off rather than failing the request.
+  const budget =
+    cfg.thinking_budget !== undefined
+      ? Math.min(cfg.thinking_budget, Number(cfg.max_tokens) - 1)
+      : NaN;
+  if (budget >= 1024) {
+    payload.thinking = { type: "enabled", budget_tokens: budget };
+  } else {
+    // sampling parameters are rejected while extended thinking is enabled
+    if (cfg.temperature !== undefined) payload.temperature = Number(cfg.temperature);
+    if (cfg.top_p !== undefined) payload.top_p = Number(cfg.top_p);
+    if (cfg.top_k !== undefined) payload.top_k = Number(cfg.top_k);
+  }
+  return payload;
+}
+
+// Streams server-sent events through options.onChunk when given, in which case
+// the promise resolves with { raw: <full SSE body> } like the other clients.
+// Aborting options.signal destroys the request.
+function callAnthropic(apiKey, modelId, promptParts, options = {}) {
+  ensureApiKey(apiKey);
+
+  const streaming = typeof options.onChunk === "function";
+  const payload = buildPayload(modelId, promptParts, streaming, options.parameters);
+  const data = JSON.stringify(payload);
+
+  const requestOptions = {
+    hostname: "api.anthropic.com",
+    path: "/v1/messages",
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "Content-Length": Buffer.byteLength(data),
+      "x-api-key": apiKey,
+      "anthropic-version": ANTHROPIC_VERSION,
+      Accept: streaming ? "text/event-stream" : "application/json",
+    },
+  };
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(requestOptions, (res) => {
+      let body = "";
+      res.setEncoding("utf8");
+      const onChunk = streaming && res.statusCode < 400 ? options.onChunk : null;
+      res.on("data", (chunk) => {
+        body += chunk;
+        if (onChunk) {
+          try {
+            onChunk(chunk);
+          } catch (err) {
+            console.error("Anthropic stream handler error:", err);
+          }
+        }
+      });
+      res.on("end", () => {
+        if (res.statusCode >= 400) {
+          return reject(createHttpError("Anthropic", res, body));
+        }
+        if (streaming) {
+          return resolve({ raw: body, status: res.statusCode, headers: res.headers });
+        }
+        try {
+          const parsed = JSON.parse(body);
+          resolve(parsed);
+        } catch {
+          resolve({ raw: body, status: res.statusCode, headers: res.headers });
+        }
+      });
+    });
+
+    req.on("error", (err) => {
+      reject(err);
+    });
+
+    if (!bindAbortSignal(req, options.signal)) return;
+
+    req.write(data);
+    req.end();
+  });
+}
+
+function getModels() {
+  return [
+    {
+      id: "claude-sonnet-4-5",
+      name: "Claude Sonnet 4.5",
+      provider: "anthropic",
+      contextWindow: 200000,
+      vision: true,
+    },
+    {
+      id: "claude-opus-4-1",
+      name: "Claude Opus 4.1",
+      provider: "anthropic",
+      contextWindow: 200000,
+      vision: true,
+    },
+    {
+      id: "claude-3-5-haiku-latest",
+      name: "Claude 3.5 Haiku",
+      provider: "anthropic",
+      contextWindow: 200000,
+      vision: true,
+    },
+  ];
+}
+
+module.exports = { callAnthropic, getModels, buildPayload };
@@ -0,0 +1,61 @@
+// Per-conversation message history, keyed by the conversation id the webview
+// sends with every prompt. Each turn keeps the requestId that produced it so
+// edits and reloads can drop the turn they replace (and everything after it).
+
+const MAX_CONVERSATIONS = 20;
+
+function createConversationStore() {
+  const conversations = new Map();
+
+  function getTurns(conversationId) {
+    if (!conversationId) return [];
+    return conversations.get(String(conversationId)) || [];
+  }
+
+  // Role-tagged messages for every stored turn, oldest first. maxTurns keeps
+  // only the most recent turns when given.
+  function getMessages(conversationId, maxTurns) {
+    let turns = getTurns(conversationId);
+    if (Number.isFinite(maxTurns) && maxTurns >= 0 && turns.length > maxTurns) {
+      turns = turns.slice(turns.length - maxTurns);
+    }
+    const messages = [];
+    for (const turn of turns) {
+      messages.push({ role: "user", content: turn.user });
+      messages.push({ role: "assistant", content: turn.assistant });
+    }
+    return messages;
+  }
+
+  function truncateFrom(conversationId, requestId) {
+    if (!conversationId || !requestId) return;
+    const turns = getTurns(conversationId);
+    const idx = turns.findIndex((t) => t.requestId === String(requestId));
+    if (idx !== -1) conversations.set(String(conversationId), turns.slice(0, idx));
+  }
+
+  function appendTurn(conversationId, turn) {
+    if (!conversationId || !turn) return;
+    const key = String(conversationId);
+    const turns = getTurns(key).slice();
+    turns.push({
+      requestId: turn.requestId ? String(turn.requestId) : null,
+      user: turn.user || "",
+      assistant: turn.assistant || "",
+    });
+    // re-insert so Map order tracks recency, then evict the oldest
+    conversations.delete(key);
+    conversations.set(key, turns);
+    while (conversations.size > MAX_CONVERSATIONS) {
+      conversations.delete(conversations.keys().next().value);
+    }
+  }
+
+  function clear(conversationId) {
+    if (conversationId) conversations.delete(String(conversationId));
+  }
+
+  return { getMessages, truncateFrom, appendTurn, clear };
+}
+
+module.exports = { createConversationStore };
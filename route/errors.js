@@ -0,0 +1,269 @@
+// Errors raised by the provider clients, and the taxonomy the webview renders
+// them with.
+
+// Error for an HTTP response with status >= 400. Keeps the status, headers and
+// body so callers (the retry layer in particular) can inspect them.
+function createHttpError(providerName, res, body) {
+  const err = new Error(`${providerName} API error ${res.statusCode}: ${body}`);
+  err.status = res.statusCode;
+  err.headers = res.headers || {};
+  err.body = body;
+  err.provider = providerName;
+  return err;
+}
+
+function createMissingKeyError(providerName) {
+  const err = new Error(`${providerName} API key not configured`);
+  err.code = "MISSING_API_KEY";
+  err.provider = providerName;
+  return err;
+}
+
+// A request that got no answer in `ms` milliseconds. The ETIMEDOUT code files
+// it with the network failures.
+function createTimeoutError(providerName, ms) {
+  const err = new Error(`${providerName} request timed out after ${ms} ms`);
+  err.code = "ETIMEDOUT";
+  err.provider = providerName;
+  return err;
+}
+
+// Failure kinds with the text and actions the webview shows for them.
+// Actions: "setApiKey", "switchModel", "retry", "newChat".
+const ERROR_KINDS = {
+  missing_key: {
+    title: "API key missing",
+    message: (p) => `No API key is configured for ${p}.`,
+    actions: ["setApiKey", "switchModel"],
+  },
+  invalid_key: {
+    title: "API key rejected",
+    message: (p) => `${p} did not accept the configured API key.`,
+    actions: ["setApiKey", "switchModel"],
+  },
+  permission_denied: {
+    title: "Access denied",
+    message: (p) =>
+      `${p} refused access to this model. The account may lack permission for it, or a proxy or regional restriction is blocking the request.`,
+    actions: ["switchModel", "retry"],
+  },
+  quota: {
+    title: "Quota exhausted",
+    message: (p) => `Your ${p} quota or credit is used up.`,
+    actions: ["switchModel", "retry"],
+  },
+  rate_limit: {
+    title: "Rate limited",
+    message: (p) => `${p} is receiving too many requests. Wait a moment and try again.`,
+    actions: ["retry", "switchModel"],
+  },
+  safety: {
+    title: "Blocked by safety filters",
+    message: (p) => `${p} declined to answer this prompt.`,
+    actions: ["switchModel"],
+  },
+  context_length: {
+    title: "Prompt too long",
+    message: () => "The conversation and attached files exceed the model's context window.",
+    actions: ["newChat", "switchModel"],
+  },
+  network: {
+    title: "Network error",
+    message: (p) => `Could not reach ${p}. Check your connection or proxy settings.`,
+    actions: ["retry"],
+  },
+  unavailable: {
+    title: "Provider unavailable",
+    message: (p) => `${p} is having trouble right now.`,
+    actions: ["retry", "switchModel"],
+  },
+  bad_model: {
+    title: "Model unavailable",
+    message: (p) => `${p} does not offer this model, or it cannot be used for chat.`,
+    actions: ["switchModel"],
+  },
+  unknown: {
+    title: "Request failed",
+    message: (p) => `${p} returned an error.`,
+    actions: ["retry"],
+  },
+};
+
+// HTTP status equivalents of the error types Anthropic sends in SSE error events
+const ANTHROPIC_ERROR_STATUS = {
+  invalid_request_error: 400,
+  authentication_error: 401,
+  permission_error: 403,
+  not_found_error: 404,
+  rate_limit_error: 429,
+  api_error: 500,
+  overloaded_error: 529,
+};
+
+const NETWORK_CODES = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ENOTFOUND",
+  "EPIPE",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "EHOSTUNREACH",
+  "ENETUNREACH",
+  "EPROXY",
+  "CERT_HAS_EXPIRED",
+  "UNABLE_TO_VERIFY_LEAF_SIGNATURE",
+  "SELF_SIGNED_CERT_IN_CHAIN",
+  "DEPTH_ZERO_SELF_SIGNED_CERT",
+]);
+
+// What providers say when the key itself is the problem: Google's API_KEY_*
+// reasons (invalid, or restricted to other services or referrers), OpenAI's
+// invalid_api_key, and the wording of both. A 403 without one of these is
+// about access to something, often decided by a proxy or the region, and
+// re-entering the key would not help.
+const INVALID_KEY_TEXT =
+  /\bAPI_KEY_[A-Z_]+\b|invalid_api_key|incorrect api key|api key not valid|invalid api[ _-]?key|invalid x-api-key/i;
+
+// Gemini finish reasons (and the OpenAI/Anthropic equivalents) that mean the
+// answer was withheld.
+const BLOCKED_FINISH_REASONS = new Set([
+  "SAFETY",
+  "PROHIBITED_CONTENT",
+  "BLOCKLIST",
+  "SPII",
+  "RECITATION",
+  "content_filter",
+  "refusal",
+]);
+
+// The provider's own error message out of a JSON error body, when there is one.
+function extractApiMessage(body) {
+  if (!body) return "";
+  try {
+    const parsed = typeof body === "string" ? JSON.parse(body) : body;
+    const e = Array.isArray(parsed) ? parsed[0] && parsed[0].error : parsed.error;
+    if (e && typeof e.message === "string") return e.message;
+    if (typeof e === "string") return e;
+    if (typeof parsed.message === "string") return parsed.message;
+    if (typeof parsed.detail === "string") return parsed.detail;
+  } catch {
+  }
+  return String(body).slice(0, 500);
+}
+
+function classifyKind(err) {
+  if (!err) return "unknown";
+  if (err.kind && ERROR_KINDS[err.kind]) return err.kind;
+  if (err.code === "MISSING_API_KEY") return "missing_key";
+  if (err.code && NETWORK_CODES.has(err.code)) return "network";
+  if (/socket hang up/i.test(String(err.message || ""))) return "network";
+
+  const status = typeof err.status === "number" ? err.status : 0;
+  const text = `${err.body || ""} ${err.message || ""}`;
+  if (status === 401 || (status < 500 && INVALID_KEY_TEXT.test(text))) return "invalid_key";
+  const quotaText = /insufficient_quota|quota|billing|credit balance|exceeded your current/i.test(text);
+  if (status === 402 || ((status === 429 || status === 403) && quotaText)) return "quota";
+  if (status === 429) return "rate_limit";
+  // proxies say "blocked" too; it is not the safety filter talking
+  if (status === 403) return "permission_denied";
+  if (/context[_ ]length|context window|maximum context|too many tokens|prompt is too long|input token count|exceeds the maximum/i.test(text))
+    return "context_length";
+  if (/safety|blocked|content_filter|content management policy/i.test(text) && status < 500)
+    return "safety";
+  if (status === 404 || /model.*(not found|does not exist|not supported)|unknown model|NOT_FOUND/i.test(text))
+    return "bad_model";
+  if (status >= 500) return "unavailable";
+  return "unknown";
+}
+
+// Describes any failure for the webview: { kind, title, message, actions,
+// provider, detail }. detail is the provider's own wording, for the tooltip.
+function describeError(err, providerName) {
+  const provider = providerName || (err && err.provider) || "the provider";
+  const kind = classifyKind(err);
+  const spec = ERROR_KINDS[kind];
+  const message = spec.message(provider);
+  const detail =
+    err && err.body ? extractApiMessage(err.body) : String((err && err.message) || err || "");
+  return {
+    kind,
+    title: spec.title,
+    message: message.charAt(0).toUpperCase() + message.slice(1),
+    actions: spec.actions.slice(),
+    provider,
+    detail,
+  };
+}
+
+// Error responses that arrive with a success status: an `error` object in
+// a JSON body or an SSE event (Gemini does both), and answers withheld by
+// safety filters. Returns an Error for them, otherwise null.
+function findResponseError(resp, providerName) {
+  if (!resp || typeof resp !== "object") return null;
+  const events = [];
+  if (typeof resp.raw === "string") {
+    for (const line of resp.raw.split("\n")) {
+      if (!line.startsWith("data:")) continue;
+      try {
+        events.push(JSON.parse(line.substring(5).trim()));
+      } catch {
+      }
+    }
+  } else {
+    events.push(...(Array.isArray(resp) ? resp : [resp]));
+  }
+
+  let producedText = false;
+  for (const ev of events) {
+    if (!ev || typeof ev !== "object") continue;
+    if (ev.error) {
+      const e = ev.error;
+      let status = Number(e.code) >= 400 ? Number(e.code) : 0;
+      if (!status && e.status === "RESOURCE_EXHAUSTED") status = 429;
+      if (!status && ANTHROPIC_ERROR_STATUS[e.type]) status = ANTHROPIC_ERROR_STATUS[e.type];
+      const err = new Error(`${providerName} API error: ${extractApiMessage(ev)}`);
+      if (status) err.status = status;
+      err.body = JSON.stringify(ev);
+      err.provider = providerName;
+      return err;
+    }
+    const feedback = ev.promptFeedback;
+    if (feedback && feedback.blockReason) return createBlockedError(providerName, feedback.blockReason);
+
+    const reasons = [];
+    for (const c of ev.candidates || []) {
+      if (c && c.content && Array.isArray(c.content.parts) && c.content.parts.some((p) => p && p.text))
+        producedText = true;
+      if (c && c.finishReason) reasons.push(c.finishReason);
+    }
+    for (const c of ev.choices || []) {
+      const m = c && (c.message || c.delta);
+      if (m && m.content) producedText = true;
+      if (c && c.finish_reason) reasons.push(c.finish_reason);
+    }
+    if (Array.isArray(ev.content) && ev.content.some((b) => b && b.text)) producedText = true;
+    if (ev.type === "content_block_delta" && ev.delta && ev.delta.text) producedText = true;
+    if (ev.stop_reason) reasons.push(ev.stop_reason);
+    if (ev.delta && ev.delta.stop_reason) reasons.push(ev.delta.stop_reason);
+    const blocked = reasons.find((r) => BLOCKED_FINISH_REASONS.has(r));
+    // a partial answer cut short by a filter is still worth showing
+    if (blocked && !producedText) return createBlockedError(providerName, blocked);
+  }
+  return null;
+}
+
+function createBlockedError(providerName, reason) {
+  const err = new Error(`${providerName} blocked the response (${reason})`);
+  err.kind = "safety";
+  err.provider = providerName;
+  return err;
+}
+
+module.exports = {
+  ERROR_KINDS,
+  createHttpError,
+  createMissingKeyError,
+  createTimeoutError,
+  describeError,
+  findResponseError,
+};
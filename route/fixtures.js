@@ -0,0 +1,180 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { EventEmitter } = require("events");
+const { PassThrough } = require("stream");
+
+// Record/replay support for the transport. In record mode every provider
+// exchange is written to <fixturesDir>/<hash>.json: the request (method, URL,
+// body) and the response status, headers and body chunks exactly as they
+// arrived, so SSE streams replay with their original chunk boundaries. In
+// replay mode requests never reach the network; the fixture with the same
+// hash answers instead. Request headers are not stored, so API keys stay out
+// of fixtures, and they are not part of the hash, so a replay works with any
+// (or no) key. Replay reads only `request` and `response`; other fields, such
+// as recordedAt or a hand-written fixture's `synthetic` note, are for people.
+
+const DROPPED_RESPONSE_HEADERS = new Set(["set-cookie", "date", "x-request-id"]);
+
+// JSON with sorted keys, so key order in the payload doesn't change the hash.
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function parseBody(body) {
+  if (!body) return null;
+  try {
+    return JSON.parse(body);
+  } catch {
+    return body;
+  }
+}
+
+function requestUrl(options) {
+  const protocol = options.protocol || "https:";
+  const port = options.port ? `:${options.port}` : "";
+  return `${protocol}//${options.hostname}${port}${options.path || "/"}`;
+}
+
+function requestHash(options, body) {
+  const parsed = parseBody(body);
+  const key = [
+    (options.method || "GET").toUpperCase(),
+    requestUrl(options),
+    typeof parsed === "string" ? parsed : stableStringify(parsed),
+  ].join("\n");
+  return crypto.createHash("sha256").update(key).digest("hex").slice(0, 24);
+}
+
+function fixturePath(dir, hash) {
+  return path.join(dir, `${hash}.json`);
+}
+
+function collectBody(chunks) {
+  return chunks.map((c) => (Buffer.isBuffer(c) ? c.toString("utf8") : String(c))).join("");
+}
+
+// Wraps a live ClientRequest so the exchange is saved once the response ends.
+// Returns the request unchanged for the caller.
+function recordRequest(dir, options, startRequest, callback) {
+  const sent = [];
+  const req = startRequest((res) => {
+    const chunks = [];
+    res.on("data", (chunk) => chunks.push(Buffer.isBuffer(chunk) ? chunk.toString("utf8") : String(chunk)));
+    res.on("end", () => {
+      const body = collectBody(sent);
+      const headers = {};
+      for (const [name, value] of Object.entries(res.headers || {})) {
+        if (!DROPPED_RESPONSE_HEADERS.has(name)) headers[name] = value;
+      }
+      const fixture = {
+        request: { method: options.method || "GET", url: requestUrl(options), body: parseBody(body) },
+        response: { status: res.statusCode, headers, chunks },
+        recordedAt: new Date().toISOString(),
+      };
+      try {
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(fixturePath(dir, requestHash(options, body)), JSON.stringify(fixture, null, 2));
+      } catch (err) {
+        console.error("Failed to write fixture:", err);
+      }
+    });
+    callback(res);
+  });
+  const write = req.write.bind(req);
+  const end = req.end.bind(req);
+  req.write = (chunk, ...rest) => {
+    if (chunk && typeof chunk !== "function") sent.push(chunk);
+    return write(chunk, ...rest);
+  };
+  req.end = (chunk, ...rest) => {
+    if (chunk && typeof chunk !== "function") sent.push(chunk);
+    return end(chunk, ...rest);
+  };
+  return req;
+}
+
+// Stand-in for http.ClientRequest in replay mode: buffers the body, and on
+// end() answers from the matching fixture. Chunks are emitted on separate
+// ticks so streaming consumers see them arrive one by one.
+class ReplayRequest extends EventEmitter {
+  constructor(dir, options, callback) {
+    super();
+    this.dir = dir;
+    this.options = options;
+    this.callback = callback;
+    this.body = [];
+    this.destroyed = false;
+  }
+
+  write(chunk) {
+    if (chunk && typeof chunk !== "function") this.body.push(chunk);
+    return true;
+  }
+
+  end(chunk) {
+    if (chunk && typeof chunk !== "function") this.body.push(chunk);
+    setImmediate(() => this.respond());
+    return this;
+  }
+
+  setTimeout() {
+    return this;
+  }
+
+  destroy(err) {
+    if (this.destroyed) return this;
+    this.destroyed = true;
+    if (this.response) this.response.destroy();
+    if (err) this.emit("error", err);
+    this.emit("close");
+    return this;
+  }
+
+  respond() {
+    if (this.destroyed) return;
+    const body = collectBody(this.body);
+    const hash = requestHash(this.options, body);
+    let fixture;
+    try {
+      fixture = JSON.parse(fs.readFileSync(fixturePath(this.dir, hash), "utf8"));
+    } catch {
+      const err = new Error(
+        `No recorded fixture ${hash} for ${this.options.method || "GET"} ${requestUrl(this.options)} in ${this.dir}`
+      );
+      err.code = "ENOFIXTURE";
+      return this.destroy(err);
+    }
+
+    const res = new PassThrough();
+    res.statusCode = fixture.response.status;
+    res.headers = fixture.response.headers || {};
+    this.response = res;
+    this.callback(res);
+    const chunks = fixture.response.chunks || [];
+    const next = (i) => {
+      if (this.destroyed) return;
+      if (i >= chunks.length) {
+        res.end();
+        this.emit("close");
+        return;
+      }
+      res.write(chunks[i]);
+      setImmediate(() => next(i + 1));
+    };
+    next(0);
+  }
+}
+
+function replayRequest(dir, options, callback) {
+  return new ReplayRequest(dir, options, callback);
+}
+
+module.exports = { recordRequest, replayRequest, requestHash };
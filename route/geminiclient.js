@@ -1,26 +1,109 @@
-const https = require('https');
+const transport = require('./transport');
+const { bindAbortSignal } = require('./abort');
+const { createHttpError, createTimeoutError } = require('./errors');
+const { toGeminiGenerationConfig } = require('./parameters');
+const { toGeminiTools } = require('./tools');
+const { toGeminiSchema } = require('./schema');
 
 function ensureApiKey(apiKey) {
   if (!apiKey) throw new Error('GEMINI_API_KEY not provided');
 }
 
-function callGemini(apiKey, modelId, promptParts) {
+// Models that think before answering. Older ones reject thinkingConfig.
+const THINKING_MODELS = /^gemini-(2\.5|[3-9])/;
+
+// Thinking models are asked for thought summaries, which come back as parts
+// marked `thought: true`, unless the budget turns thinking off.
+function withThinkingConfig(modelId, generationConfig) {
+  if (!THINKING_MODELS.test(modelId)) {
+    delete generationConfig.thinkingConfig;
+    return generationConfig;
+  }
+  const thinkingConfig = Object.assign({}, generationConfig.thinkingConfig);
+  if (thinkingConfig.thinkingBudget !== 0) thinkingConfig.includeThoughts = true;
+  generationConfig.thinkingConfig = thinkingConfig;
+  return generationConfig;
+}
+
+// Each turn becomes one entry in `contents`. Bare strings are user turns, and
+// Gemini names the assistant role "model". System messages are left out here;
+// they go to systemInstruction instead. Attached images follow the text as
+// inline_data parts. In a tool round the assistant's calls become
+// functionCall parts, and the results, which Gemini wants together in the
+// following turn, functionResponse parts.
+function buildContents(promptParts) {
+  const contents = [];
+  for (const part of promptParts || []) {
+    if (typeof part === 'string') {
+      contents.push({ role: 'user', parts: [{ text: part }] });
+    } else if (part && part.role === 'tool') {
+      const output = String(part.content || '');
+      const response = {
+        functionResponse: { name: part.name, response: part.isError ? { error: output } : { result: output } }
+      };
+      const prev = contents[contents.length - 1];
+      if (prev && prev.role === 'user' && prev.parts.every(p => p.functionResponse)) prev.parts.push(response);
+      else contents.push({ role: 'user', parts: [response] });
+    } else if (part && (part.role === 'user' || part.role === 'assistant')) {
+      const calls = Array.isArray(part.toolCalls) ? part.toolCalls : [];
+      const parts = [];
+      if (part.content || !calls.length) parts.push({ text: String(part.content || '') });
+      for (const image of part.images || []) {
+        parts.push({ inline_data: { mime_type: image.mimeType, data: image.data } });
+      }
+      for (const call of calls) {
+        const fc = { functionCall: { name: call.name, args: call.arguments || {} } };
+        if (call.thoughtSignature) fc.thoughtSignature = call.thoughtSignature;
+        parts.push(fc);
+      }
+      contents.push({ role: part.role === 'assistant' ? 'model' : 'user', parts });
+    }
+  }
+  if (!contents.length) contents.push({ role: 'user', parts: [{ text: '' }] });
+  return contents;
+}
+
+// When options.onChunk is given the request goes to :streamGenerateContent with
+// alt=sse and every raw body chunk is handed to it as it arrives; the promise
+// then resolves with { raw: <full SSE body> } like the NVIDIA client does.
+// options.signal aborts the request; options.parameters become generationConfig
+// and options.tools functionDeclarations, with options.toolChoice ("auto" or
+// "none") as the function calling mode. options.responseSchema switches the
+// response to JSON constrained by that schema. The thinking_budget parameter
+// sets thinkingConfig; see withThinkingConfig.
+function callGemini(apiKey, modelId, promptParts, options = {}) {
   ensureApiKey(apiKey);
 
+  const streaming = typeof options.onChunk === 'function';
+
   return new Promise((resolve, reject) => {
     const payload = {
-      contents: [
-        {
-          parts: promptParts.map(text => ({ text }))
-        }
-      ]
+      contents: buildContents(promptParts)
     };
+    const systemText = (promptParts || [])
+      .filter(p => p && typeof p === 'object' && p.role === 'system' && p.content)
+      .map(p => String(p.content))
+      .join('\n\n');
+    if (systemText) payload.systemInstruction = { parts: [{ text: systemText }] };
+    const generationConfig = withThinkingConfig(modelId, toGeminiGenerationConfig(options.parameters));
+    if (options.responseSchema) {
+      generationConfig.responseMimeType = 'application/json';
+      generationConfig.responseSchema = toGeminiSchema(options.responseSchema);
+    }
+    if (Object.keys(generationConfig).length) payload.generationConfig = generationConfig;
+    const tools = toGeminiTools(options.tools);
+    if (tools.length) {
+      payload.tools = tools;
+      if (options.toolChoice)
+        payload.toolConfig = { functionCallingConfig: { mode: String(options.toolChoice).toUpperCase() } };
+    }
 
     const data = JSON.stringify(payload);
 
-    const options = {
+    const method = streaming ? 'streamGenerateContent?alt=sse' : 'generateContent';
+    const requestOptions = {
       hostname: 'generativelanguage.googleapis.com',
-      path: `/v1beta/models/${encodeURIComponent(modelId)}:generateContent`,
+      path: `/v1beta/models/${encodeURIComponent(modelId)}:${method}`,
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -29,11 +112,27 @@ function callGemini(apiKey, modelId, promptParts) {
       }
     };
 
-    const req = https.request(options, (res) => {
+    const req = transport.request(requestOptions, (res) => {
       let body = '';
       res.setEncoding('utf8');
-      res.on('data', (chunk) => { body += chunk; });
+      const onChunk = streaming && res.statusCode < 400 ? options.onChunk : null;
+      res.on('data', (chunk) => {
+        body += chunk;
+        if (onChunk) {
+          try {
+            onChunk(chunk);
+          } catch (err) {
+            console.error('Gemini stream handler error:', err);
+          }
+        }
+      });
       res.on('end', () => {
+        if (res.statusCode >= 400) {
+          return reject(createHttpError('Gemini', res, body));
+        }
+        if (streaming) {
+          return resolve({ raw: body, status: res.statusCode, headers: res.headers });
+        }
         try {
           const parsed = JSON.parse(body);
           resolve(parsed);
@@ -47,20 +146,79 @@ function callGemini(apiKey, modelId, promptParts) {
       reject(err);
     });
 
+    if (!bindAbortSignal(req, options.signal)) return;
+
     req.write(data);
     req.end();
   });
 }
 
+// models.list is only consulted for the model picker; don't let a stalled
+// connection hold it up.
+const GET_TIMEOUT_MS = 15000;
+
+function getJson(path, apiKey) {
+  return new Promise((resolve, reject) => {
+    const req = transport.request({
+      hostname: 'generativelanguage.googleapis.com',
+      path,
+      method: 'GET',
+      headers: { 'X-goog-api-key': apiKey }
+    }, (res) => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { body += chunk; });
+      res.on('end', () => {
+        if (res.statusCode >= 400) {
+          return reject(createHttpError('Gemini', res, body));
+        }
+        try {
+          resolve(JSON.parse(body));
+        } catch (err) {
+          reject(new Error('Failed to parse Gemini response: ' + err.message));
+        }
+      });
+    });
+    req.on('error', reject);
+    req.setTimeout(GET_TIMEOUT_MS, () => req.destroy(createTimeoutError('Gemini', GET_TIMEOUT_MS)));
+    req.end();
+  });
+}
+
+// Live model list from models.list, restricted to models that can chat. The
+// reported input limit becomes contextWindow. Gemini chat models all take
+// image input; the list doesn't say so, Gemma being the exception.
+async function listModels(apiKey) {
+  ensureApiKey(apiKey);
+  const models = [];
+  let pageToken = '';
+  do {
+    const query = `pageSize=100${pageToken ? `&pageToken=${encodeURIComponent(pageToken)}` : ''}`;
+    const page = await getJson(`/v1beta/models?${query}`, apiKey);
+    for (const m of page.models || []) {
+      const methods = m.supportedGenerationMethods || [];
+      if (!methods.includes('generateContent')) continue;
+      const id = String(m.name || '').replace(/^models\//, '');
+      if (!id) continue;
+      const model = { id, name: m.displayName || id, vision: !id.startsWith('gemma') };
+      if (m.inputTokenLimit) model.contextWindow = m.inputTokenLimit;
+      models.push(model);
+    }
+    pageToken = page.nextPageToken || '';
+  } while (pageToken);
+  return models;
+}
+
 function getModels() {
   return [
     // { id: 'gemini-2.5-pro', name: 'Gemini 2.5 Pro', provider: 'gemini' },
-    { id: 'gemini-2.5-flash', name: 'Gemini 2.5 Flash', provider: 'gemini' },
-    { id: 'gemini-2.0-flash', name: 'Gemini 2.0 Flash', provider: 'gemini' }
+    { id: 'gemini-2.5-flash', name: 'Gemini 2.5 Flash', provider: 'gemini', contextWindow: 1048576, vision: true },
+    { id: 'gemini-2.0-flash', name: 'Gemini 2.0 Flash', provider: 'gemini', contextWindow: 1048576, vision: true }
   ];
 }
 
 module.exports = {
   callGemini,
-  getModels
+  getModels,
+  listModels
 };
@@ -0,0 +1,245 @@
+const { createAbortError } = require("./abort");
+const { createHttpError } = require("./errors");
+const { estimateTokens, estimateMessagesTokens } = require("./tokens");
+
+// Local provider for demos and webview/parser work: answers from scripts
+// instead of the network, needs no key, and only shows up when
+// `vsx.dev.mockProvider` is on. Responses use the OpenAI chat-completions
+// format (SSE when streaming) so they go through the same parsing path as
+// real providers.
+
+const PROVIDER_NAME = "Mock";
+
+const LOREM =
+  "Lorem ipsum dolor sit amet, consectetur adipiscing elit, sed do eiusmod tempor " +
+  "incididunt ut labore et dolore magna aliqua. Ut enim ad minim veniam, quis nostrud " +
+  "exercitation ullamco laboris nisi ut aliquip ex ea commodo consequat. Duis aute irure " +
+  "dolor in reprehenderit in voluptate velit esse cillum dolore eu fugiat nulla pariatur. " +
+  "Excepteur sint occaecat cupidatat non proident, sunt in culpa qui officia deserunt " +
+  "mollit anim id est laborum.";
+
+const THINKING =
+  "The user wants some filler text. Two paragraphs of lorem ipsum should do; " +
+  "no code, no files, nothing to look up.";
+
+const CODE_ANSWER = [
+  "Here is a small module and a matching test.",
+  "",
+  "*** file: src/greet.js ***",
+  "```javascript",
+  "function greet(name) {",
+  "  return `Hello, ${name}!`;",
+  "}",
+  "",
+  "module.exports = { greet };",
+  "```",
+  "",
+  "*** file: test/greet.test.js ***",
+  "```javascript",
+  'const assert = require("assert");',
+  'const { greet } = require("../src/greet");',
+  "",
+  'assert.strictEqual(greet("world"), "Hello, world!");',
+  "```",
+  "",
+  "Run it with:",
+  "",
+  "```bash",
+  "node test/greet.test.js",
+  "```",
+].join("\n");
+
+function apiError(message, type, code) {
+  const error = { message, type };
+  if (code) error.code = code;
+  return { error };
+}
+
+// Failures for mock-error, chosen with `vsx.dev.mockError`. Statuses and
+// bodies mimic what the real providers send so retries, fallbacks and the
+// error bubbles behave as they would in the field.
+const ERROR_SCENARIOS = {
+  invalid_key: {
+    status: 401,
+    body: apiError("Incorrect API key provided", "invalid_request_error", "invalid_api_key"),
+  },
+  // the shape of Google's answer for a model the project may not use
+  permission_denied: {
+    status: 403,
+    body: { error: { code: 403, message: "The caller does not have permission", status: "PERMISSION_DENIED" } },
+  },
+  rate_limit: {
+    status: 429,
+    headers: { "retry-after": "1" },
+    body: apiError("Rate limit reached for requests", "requests", "rate_limit_exceeded"),
+  },
+  quota: {
+    status: 429,
+    body: apiError("You exceeded your current quota", "insufficient_quota", "insufficient_quota"),
+  },
+  context_length: {
+    status: 400,
+    body: apiError(
+      "This model's maximum context length is 8192 tokens",
+      "invalid_request_error",
+      "context_length_exceeded"
+    ),
+  },
+  bad_model: {
+    status: 404,
+    body: apiError("The model does not exist", "invalid_request_error", "model_not_found"),
+  },
+  server: { status: 503, body: apiError("The server is overloaded", "server_error") },
+  // a 200 whose answer was withheld
+  safety: { finishReason: "content_filter" },
+  network: { code: "ECONNRESET" },
+  // the connection drops after a few streamed events
+  midstream: { code: "ECONNRESET", afterChunks: 4 },
+};
+
+const MODELS = [
+  { id: "mock-echo", name: "Mock: echo" },
+  { id: "mock-lorem", name: "Mock: lorem ipsum with reasoning" },
+  { id: "mock-code", name: "Mock: code and file chips" },
+  { id: "mock-error", name: "Mock: error (vsx.dev.mockError)" },
+];
+
+function getModels() {
+  return MODELS.map((m) => Object.assign({ provider: "mock", contextWindow: 32768 }, m));
+}
+
+function lastUserText(messages) {
+  const turns = (messages || []).filter((m) => typeof m === "string" || (m && m.role === "user"));
+  const last = turns[turns.length - 1];
+  if (!last) return "";
+  const content = typeof last === "string" ? last : last.content;
+  return typeof content === "string" ? content : JSON.stringify(content);
+}
+
+// The scripted answer for a model: { content, reasoning }
+function scriptFor(modelId, messages) {
+  switch (modelId) {
+    case "mock-lorem":
+      return { content: `${LOREM}\n\n${LOREM}`, reasoning: THINKING };
+    case "mock-code":
+      return { content: CODE_ANSWER, reasoning: "" };
+    case "mock-error":
+      return { content: "This text is only seen when the stream fails halfway.", reasoning: "" };
+    default:
+      return { content: `You said:\n\n${lastUserText(messages)}`, reasoning: "" };
+  }
+}
+
+// Splits text into word-sized pieces, keeping the whitespace, so the stream
+// looks like real token deltas.
+function splitIntoDeltas(text) {
+  return text.match(/\S+\s*|\s+/g) || [];
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(createAbortError());
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+function sseEvent(modelId, choice) {
+  return sseData({ choices: [Object.assign({ index: 0 }, choice)] }, modelId);
+}
+
+function sseData(fields, modelId) {
+  const event = Object.assign({ id: "mock", object: "chat.completion.chunk", model: modelId }, fields);
+  return `data: ${JSON.stringify(event)}\n\n`;
+}
+
+function buildUsage(messages, script) {
+  const promptTokens = estimateMessagesTokens(messages || [], "openai-compatible");
+  const completionTokens = estimateTokens(script.content, "openai-compatible");
+  const reasoningTokens = estimateTokens(script.reasoning, "openai-compatible");
+  const usage = {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens + reasoningTokens,
+    total_tokens: promptTokens + completionTokens + reasoningTokens,
+  };
+  if (reasoningTokens) usage.completion_tokens_details = { reasoning_tokens: reasoningTokens };
+  return usage;
+}
+
+function httpFailure(scenario) {
+  const res = { statusCode: scenario.status, headers: scenario.headers || {} };
+  return createHttpError(PROVIDER_NAME, res, JSON.stringify(scenario.body));
+}
+
+function networkFailure(code) {
+  const err = new Error(`read ${code}`);
+  err.code = code;
+  return err;
+}
+
+// Same contract as the other clients: options.onChunk(text) receives the SSE
+// body as it is produced, options.signal cancels. Streams whenever onChunk is
+// given; without it the answer comes back as one chat-completions object.
+// options.delayMs is the pause between streamed deltas.
+async function callMock(modelId, messages, options = {}) {
+  const signal = options.signal;
+  const delayMs = Number(options.delayMs) >= 0 ? Number(options.delayMs) : 30;
+  const scenario =
+    modelId === "mock-error" ? ERROR_SCENARIOS[options.errorKind] || ERROR_SCENARIOS.server : null;
+
+  await sleep(delayMs, signal);
+  if (scenario && scenario.status) throw httpFailure(scenario);
+  if (scenario && scenario.code && !scenario.afterChunks) throw networkFailure(scenario.code);
+
+  const script = scriptFor(modelId, messages);
+  if (scenario && scenario.finishReason) {
+    script.content = "";
+    script.reasoning = "";
+  }
+  const finishReason = (scenario && scenario.finishReason) || "stop";
+  const usage = buildUsage(messages, script);
+
+  if (typeof options.onChunk !== "function") {
+    const message = { role: "assistant", content: script.content };
+    if (script.reasoning) message.reasoning_content = script.reasoning;
+    return {
+      id: "mock",
+      object: "chat.completion",
+      model: modelId,
+      choices: [{ index: 0, message, finish_reason: finishReason }],
+      usage,
+    };
+  }
+
+  const events = [];
+  for (const piece of splitIntoDeltas(script.reasoning))
+    events.push(sseEvent(modelId, { delta: { reasoning_content: piece } }));
+  for (const piece of splitIntoDeltas(script.content))
+    events.push(sseEvent(modelId, { delta: { content: piece } }));
+  events.push(sseEvent(modelId, { delta: {}, finish_reason: finishReason }));
+  events.push(sseData({ choices: [], usage }, modelId));
+  events.push("data: [DONE]\n\n");
+
+  let raw = "";
+  for (let i = 0; i < events.length; i++) {
+    if (scenario && scenario.afterChunks && i === scenario.afterChunks)
+      throw networkFailure(scenario.code);
+    raw += events[i];
+    try {
+      options.onChunk(events[i]);
+    } catch (err) {
+      console.error("Mock stream handler error:", err);
+    }
+    if (i < events.length - 1) await sleep(delayMs, signal);
+  }
+  return { raw, status: 200, headers: { "content-type": "text/event-stream" } };
+}
+
+module.exports = { callMock, getModels, ERROR_SCENARIOS };
@@ -0,0 +1,95 @@
+const crypto = require("crypto");
+
+// Model catalog: combines each provider's curated getModels() list with the
+// models its API reports through discoverModels(). Discovered lists are cached
+// in extension global state with a TTL; when discovery fails (or the provider
+// has no key) the curated list is used as-is.
+
+const CACHE_PREFIX = "vsx.modelCache.";
+const DEFAULT_TTL_HOURS = 24;
+// after a failed discovery, don't hit the network again for this long
+const FAILURE_BACKOFF_MS = 5 * 60 * 1000;
+
+function fingerprint(apiKey) {
+  return crypto.createHash("sha256").update(String(apiKey)).digest("hex").slice(0, 12);
+}
+
+// Curated entries carry the metadata we maintain by hand, so they win over
+// discovered ones and keep their order. Curated models the API no longer
+// reports are dropped; newly discovered ones are appended sorted by id.
+function mergeModels(providerId, curated, discovered) {
+  if (!Array.isArray(discovered) || !discovered.length) return curated;
+  const discoveredIds = new Set(discovered.map((m) => m.id));
+  const merged = curated.filter((m) => discoveredIds.has(m.id));
+  const known = new Set(merged.map((m) => m.id));
+  const extra = discovered
+    .filter((m) => !known.has(m.id))
+    .sort((a, b) => a.id.localeCompare(b.id))
+    .map((m) => {
+      const model = { id: m.id, name: m.name || m.id, provider: providerId, discovered: true };
+      if (m.contextWindow) model.contextWindow = m.contextWindow;
+      if (m.vision) model.vision = true;
+      return model;
+    });
+  return merged.concat(extra);
+}
+
+function createModelCatalog({ context, getConfig, getApiKey }) {
+  const state = context && context.globalState ? context.globalState : null;
+  const memoryCache = new Map();
+  const failures = new Map();
+
+  function ttlMs() {
+    const hours = Number(getConfig().get("modelDiscovery.ttlHours"));
+    return (Number.isFinite(hours) && hours >= 0 ? hours : DEFAULT_TTL_HOURS) * 3600 * 1000;
+  }
+
+  function readCache(providerId) {
+    if (state) return state.get(CACHE_PREFIX + providerId) || null;
+    return memoryCache.get(providerId) || null;
+  }
+
+  async function writeCache(providerId, entry) {
+    if (state) await state.update(CACHE_PREFIX + providerId, entry);
+    else memoryCache.set(providerId, entry);
+  }
+
+  async function discover(provider, apiKey, refresh) {
+    const key = fingerprint(apiKey);
+    const cached = readCache(provider.id);
+    const fresh = cached && cached.key === key && Date.now() - cached.fetchedAt < ttlMs();
+    if (fresh && !refresh) return cached.models;
+
+    const lastFailure = failures.get(provider.id);
+    if (!refresh && lastFailure && Date.now() - lastFailure < FAILURE_BACKOFF_MS) {
+      return cached && cached.key === key ? cached.models : null;
+    }
+
+    try {
+      const models = await provider.discoverModels({ apiKey, config: getConfig() });
+      failures.delete(provider.id);
+      if (!Array.isArray(models) || !models.length) return null;
+      await writeCache(provider.id, { key, fetchedAt: Date.now(), models });
+      return models;
+    } catch (err) {
+      console.error(`Model discovery failed for ${provider.id}:`, err && err.message ? err.message : err);
+      failures.set(provider.id, Date.now());
+      // a stale list for the same key still beats the curated one
+      return cached && cached.key === key ? cached.models : null;
+    }
+  }
+
+  async function getProviderModels(provider, options = {}) {
+    const curated = (await provider.getModels(getConfig())) || [];
+    if (typeof provider.discoverModels !== "function") return curated;
+    if (getConfig().get("modelDiscovery.enabled") === false) return curated;
+    const apiKey = getApiKey(provider.id);
+    if (!apiKey) return curated;
+    const discovered = await discover(provider, apiKey, !!options.refresh);
+    return mergeModels(provider.id, curated, discovered);
+  }
+
+  return { getProviderModels };
+}
+
+module.exports = { createModelCatalog, mergeModels };
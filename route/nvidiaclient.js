@@ -1,4 +1,8 @@
-const https = require("https");
+const transport = require("./transport");
+const { bindAbortSignal } = require("./abort");
+const { createHttpError, createTimeoutError } = require("./errors");
+const { pickParameters } = require("./parameters");
+const { toOpenAITools } = require("./tools");
 
 function ensureApiKey(apiKey) {
   if (!apiKey) throw new Error("NVIDIA_API_KEY not provided");
@@ -88,28 +92,64 @@ function findConfig(modelId) {
   };
 }
 
-function buildPayload(modelId, promptParts) {
-  const cfg = findConfig(modelId);
+// System entries apart from the conversation turns.
+function splitPrompt(promptParts) {
   const prompts = promptParts || [];
+  return {
+    systemParts: prompts
+      .filter((p) => p && typeof p === "object" && p.role === "system" && p.content)
+      .map((p) => String(p.content)),
+    turns: prompts.filter((p) => typeof p === "string" || (p && p.role && p.role !== "system")),
+  };
+}
+
+// Bare strings are sent as user messages; role-tagged history entries pass
+// through unchanged. `parameters` (temperature, top_p, max_tokens, ...)
+// override the model's defaults from modelConfigs. options.tools (see
+// ./tools) become `tools`, with options.toolChoice as tool_choice, and
+// options.responseSchema a json_schema response_format.
+function buildPayload(modelId, promptParts, parameters, options = {}) {
+  const cfg = Object.assign({}, findConfig(modelId), pickParameters(parameters));
 
   if (cfg.path === "/v1/responses") {
+    const { systemParts, turns } = splitPrompt(promptParts);
     const payload = {
       model: modelId,
-      input: prompts.length ? prompts : [""],
+      input: turns.length
+        ? turns.map((p) => (typeof p === "string" ? p : p.content))
+        : [""],
       max_output_tokens: cfg.max_output_tokens || cfg.max_tokens || 4096,
       top_p: cfg.top_p,
       temperature: cfg.temperature,
       stream: !!cfg.stream,
     };
+    if (systemParts.length) payload.instructions = systemParts.join("\n\n");
     return payload;
   }
 
+  // NVIDIA reports token usage on streams, but only when asked
+  return buildChatPayload(modelId, promptParts, cfg, Object.assign({}, options, { includeUsage: true }));
+}
+
+// A chat-completions request from generation settings that are already
+// resolved: `cfg` holds the sampling values plus NVIDIA's extras
+// (chat_template_kwargs, thinking token limits, add_system_think), and keys
+// it leaves undefined are not sent. options.includeUsage adds
+// stream_options, which not every OpenAI-style server accepts. The tool and
+// schema options are buildPayload's.
+function buildChatPayload(modelId, promptParts, cfg, options = {}) {
+  const { systemParts, turns } = splitPrompt(promptParts);
+
+  // Models like Nemotron switch reasoning on with a "/think" system prompt,
+  // which has to share the single system message with the mode instructions.
   const messages = [];
-  if (cfg.add_system_think) {
-    messages.push({ role: "system", content: "/think" });
+  if (cfg.add_system_think) systemParts.unshift("/think");
+  if (systemParts.length) {
+    messages.push({ role: "system", content: systemParts.join("\n\n") });
   }
-  for (const text of prompts) {
-    messages.push({ role: "user", content: text });
+  for (const part of turns) {
+    if (typeof part === "string") messages.push({ role: "user", content: part });
+    else messages.push(toChatMessage(part));
   }
   if (messages.length === 0) messages.push({ role: "user", content: "" });
 
@@ -123,8 +163,10 @@ function buildPayload(modelId, promptParts) {
     max_tokens: cfg.max_tokens,
     stream: !!cfg.stream,
   };
+  if (payload.stream && options.includeUsage) payload.stream_options = { include_usage: true };
 
   if (cfg.seed !== undefined) payload.seed = cfg.seed;
+  if (cfg.top_k !== undefined) payload.top_k = cfg.top_k;
   if (cfg.chat_template_kwargs !== undefined)
     payload.chat_template_kwargs = cfg.chat_template_kwargs;
   if (cfg.min_thinking_tokens !== undefined)
@@ -135,17 +177,70 @@ function buildPayload(modelId, promptParts) {
   if (cfg.reasoning_effort !== undefined)
     payload.reasoning_effort = cfg.reasoning_effort;
 
+  if (Array.isArray(options.tools) && options.tools.length) {
+    payload.tools = toOpenAITools(options.tools);
+    if (options.toolChoice) payload.tool_choice = options.toolChoice;
+  }
+  if (options.responseSchema) {
+    payload.response_format = {
+      type: "json_schema",
+      json_schema: { name: "response", schema: options.responseSchema },
+    };
+  }
+
   return payload;
 }
 
-function callNvidia(apiKey, modelId, promptParts) {
+// Tool rounds and image attachments from the router's message list in
+// chat-completions form
+function toChatMessage(part) {
+  if (part.role === "tool") {
+    return { role: "tool", tool_call_id: part.toolCallId, content: String(part.content || "") };
+  }
+  if (part.role === "assistant" && Array.isArray(part.toolCalls) && part.toolCalls.length) {
+    return {
+      role: "assistant",
+      content: part.content || null,
+      tool_calls: part.toolCalls.map((call) => ({
+        id: call.id,
+        type: "function",
+        function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) },
+      })),
+    };
+  }
+  if (part.role === "user" && Array.isArray(part.images) && part.images.length) {
+    return {
+      role: "user",
+      content: [{ type: "text", text: String(part.content || "") }].concat(
+        part.images.map((image) => ({
+          type: "image_url",
+          image_url: { url: `data:${image.mimeType};base64,${image.data}` },
+        }))
+      ),
+    };
+  }
+  return { role: part.role, content: part.content };
+}
+
+// options.onChunk(text) is invoked with every raw body chunk of a successful
+// response, so streaming callers can render SSE deltas before the request ends.
+// The promise still resolves with the full body once the stream closes.
+// options.signal (an AbortSignal) cancels the request; it then rejects with an
+// AbortError. options.parameters overrides the generation defaults;
+// options.tools and options.toolChoice offer tools to the model, and
+// options.responseSchema asks for JSON matching that schema.
+function callNvidia(apiKey, modelId, promptParts, options = {}) {
   ensureApiKey(apiKey);
 
   const cfg = findConfig(modelId);
-  const payload = buildPayload(modelId, promptParts);
+  const payload = buildPayload(modelId, promptParts, options.parameters, {
+    tools: options.tools,
+    toolChoice: options.toolChoice,
+    responseSchema: options.responseSchema,
+  });
   const data = JSON.stringify(payload);
 
-  const options = {
+  const requestOptions = {
     hostname: "integrate.api.nvidia.com",
     path: cfg.path || "/v1/chat/completions",
     method: "POST",
@@ -153,23 +248,32 @@ function callNvidia(apiKey, modelId, promptParts) {
       "Content-Type": "application/json",
       "Content-Length": Buffer.byteLength(data),
       Authorization: `Bearer ${apiKey}`,
-      Accept: "application/json",
+      Accept: payload.stream ? "text/event-stream" : "application/json",
     },
   };
 
   return new Promise((resolve, reject) => {
-    const req = https.request(options, (res) => {
+    const req = transport.request(requestOptions, (res) => {
       let body = "";
       res.setEncoding("utf8");
+      const onChunk =
+        res.statusCode < 400 && typeof options.onChunk === "function"
+          ? options.onChunk
+          : null;
       res.on("data", (chunk) => {
         body += chunk;
+        if (onChunk) {
+          try {
+            onChunk(chunk);
+          } catch (err) {
+            console.error("NVIDIA stream handler error:", err);
+          }
+        }
       });
       res.on("end", () => {
 
         if (res.statusCode >= 400) {
-          return reject(
-            new Error(`NVIDIA API error ${res.statusCode}: ${body}`)
-          );
+          return reject(createHttpError("NVIDIA", res, body));
         }
         try {
           const parsed = JSON.parse(body);
@@ -184,49 +288,112 @@ function callNvidia(apiKey, modelId, promptParts) {
       reject(err);
     });
 
+    if (!bindAbortSignal(req, options.signal)) return;
+
     req.write(data);
     req.end();
   });
 }
 
+// The catalog also serves embedding, reranking and safety-classifier models,
+// none of which answer chat completions.
+const NON_CHAT_MODEL = /embed|rerank|guard|safety|reward/i;
+const LIST_TIMEOUT_MS = 15000;
+
+// Live model list from the OpenAI-style /v1/models endpoint, chat models only.
+function listModels(apiKey) {
+  ensureApiKey(apiKey);
+
+  const requestOptions = {
+    hostname: "integrate.api.nvidia.com",
+    path: "/v1/models",
+    method: "GET",
+    headers: {
+      Authorization: `Bearer ${apiKey}`,
+      Accept: "application/json",
+    },
+  };
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(requestOptions, (res) => {
+      let body = "";
+      res.setEncoding("utf8");
+      res.on("data", (chunk) => {
+        body += chunk;
+      });
+      res.on("end", () => {
+        if (res.statusCode >= 400) {
+          return reject(createHttpError("NVIDIA", res, body));
+        }
+        try {
+          const parsed = JSON.parse(body);
+          const data = Array.isArray(parsed.data) ? parsed.data : [];
+          resolve(
+            data
+              .filter((m) => m && m.id && !NON_CHAT_MODEL.test(m.id))
+              .map((m) => ({ id: m.id, name: m.id }))
+          );
+        } catch (err) {
+          reject(new Error("Failed to parse NVIDIA model list: " + err.message));
+        }
+      });
+    });
+
+    req.on("error", (err) => {
+      reject(err);
+    });
+    req.setTimeout(LIST_TIMEOUT_MS, () => req.destroy(createTimeoutError("NVIDIA", LIST_TIMEOUT_MS)));
+
+    req.end();
+  });
+}
+
+// contextWindow is the model's total token limit (prompt plus answer).
 function getModels() {
   return [
     {
       id: "qwen/qwen3-next-80b-a3b-thinking",
       name: "Qwen 3 Next 80B (NVIDIA)",
       provider: "nvidia",
+      contextWindow: 262144,
     },
     {
       id: "deepseek-ai/deepseek-v3.1",
       name: "DeepSeek V3.1",
       provider: "nvidia",
+      contextWindow: 131072,
     },
     {
       id: "qwen/qwen3-coder-480b-a35b-instruct",
       name: "Qwen 3 Coder 480B Instruct",
       provider: "nvidia",
+      contextWindow: 262144,
     },
     {
       id: "moonshotai/kimi-k2-instruct",
       name: "Moonshot Kimi K2 Instruct",
       provider: "nvidia",
+      contextWindow: 131072,
     },
     {
       id: "nvidia/nvidia-nemotron-nano-9b-v2",
       name: "NVIDIA Nemotron Nano 9B V2",
       provider: "nvidia",
+      contextWindow: 131072,
     },
     {
       id: "openai/gpt-oss-120b",
       name: "GPT-OSS 120B (openai) via NVIDIA",
       provider: "nvidia",
+      contextWindow: 131072,
     },
     {
       id: "openai/gpt-oss-20b",
       name: "GPT-OSS 20B (openai) via NVIDIA",
       provider: "nvidia",
+      contextWindow: 131072,
     },
   ];
 }
 
-module.exports = { callNvidia, getModels };
+module.exports = { callNvidia, getModels, listModels, buildPayload, buildChatPayload };
@@ -0,0 +1,132 @@
+const transport = require("./transport");
+const { buildChatPayload } = require("./nvidiaclient");
+const { pickParameters } = require("./parameters");
+const { bindAbortSignal } = require("./abort");
+const { createHttpError } = require("./errors");
+
+// Client for any server that speaks the OpenAI chat-completions protocol:
+// Ollama, llama.cpp server, vLLM, LM Studio and friends. The base URL is the
+// API root including the version segment, e.g. http://localhost:11434/v1.
+
+function resolveEndpoint(baseUrl) {
+  if (!baseUrl) throw new Error("OpenAI-compatible base URL not configured");
+  let url;
+  try {
+    url = new URL(String(baseUrl).trim());
+  } catch {
+    throw new Error(`Invalid OpenAI-compatible base URL: ${baseUrl}`);
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new Error(`Unsupported protocol in base URL: ${url.protocol}`);
+  }
+  const basePath = url.pathname.replace(/\/+$/, "");
+  return {
+    protocol: url.protocol,
+    hostname: url.hostname,
+    port: url.port || undefined,
+    path: `${basePath}/chat/completions`,
+  };
+}
+
+// Local models get no sampling defaults of ours: only parameters the user
+// set are sent, and the server's own defaults (often from the model file)
+// cover the rest. Answers are always streamed; token usage on the stream is
+// requested only with options.streamUsage, since older servers reject the
+// stream_options field.
+function buildPayload(modelId, promptParts, options = {}) {
+  const cfg = Object.assign(pickParameters(options.parameters), { stream: true });
+  return buildChatPayload(modelId, promptParts, cfg, {
+    tools: options.tools,
+    toolChoice: options.toolChoice,
+    responseSchema: options.responseSchema,
+    includeUsage: !!options.streamUsage,
+  });
+}
+
+// options.onChunk(text) receives raw body chunks of a successful response, see
+// callNvidia, as do options.signal, options.parameters, options.tools /
+// options.toolChoice and options.responseSchema. apiKey is optional since most
+// local servers run without auth.
+function callOpenAICompatible(baseUrl, apiKey, modelId, promptParts, options = {}) {
+  const endpoint = resolveEndpoint(baseUrl);
+  const payload = buildPayload(modelId, promptParts, options);
+  const data = JSON.stringify(payload);
+
+  const headers = {
+    "Content-Type": "application/json",
+    "Content-Length": Buffer.byteLength(data),
+    Accept: payload.stream ? "text/event-stream" : "application/json",
+  };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+  const requestOptions = {
+    protocol: endpoint.protocol,
+    hostname: endpoint.hostname,
+    port: endpoint.port,
+    path: endpoint.path,
+    method: "POST",
+    headers,
+  };
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(requestOptions, (res) => {
+      let body = "";
+      res.setEncoding("utf8");
+      const onChunk =
+        res.statusCode < 400 && typeof options.onChunk === "function"
+          ? options.onChunk
+          : null;
+      res.on("data", (chunk) => {
+        body += chunk;
+        if (onChunk) {
+          try {
+            onChunk(chunk);
+          } catch (err) {
+            console.error("OpenAI-compatible stream handler error:", err);
+          }
+        }
+      });
+      res.on("end", () => {
+        if (res.statusCode >= 400) {
+          return reject(createHttpError("OpenAI-compatible", res, body));
+        }
+        try {
+          const parsed = JSON.parse(body);
+          resolve(parsed);
+        } catch {
+          resolve({ raw: body, status: res.statusCode, headers: res.headers });
+        }
+      });
+    });
+
+    req.on("error", (err) => {
+      reject(err);
+    });
+
+    if (!bindAbortSignal(req, options.signal)) return;
+
+    req.write(data);
+    req.end();
+  });
+}
+
+// Models come from the `vsx.openaiCompatible.models` setting, which accepts
+// plain ids or { id, name, contextWindow, vision } objects.
+function getModels(configuredModels) {
+  if (!Array.isArray(configuredModels)) return [];
+  const models = [];
+  for (const entry of configuredModels) {
+    const id = typeof entry === "string" ? entry : entry && entry.id;
+    if (!id) continue;
+    const name =
+      entry && typeof entry === "object" && entry.name ? entry.name : `${id} (local)`;
+    const model = { id, name, provider: "openai-compatible" };
+    if (entry && typeof entry === "object" && Number(entry.contextWindow) > 0)
+      model.contextWindow = Number(entry.contextWindow);
+    if (entry && typeof entry === "object" && entry.vision === true) model.vision = true;
+    models.push(model);
+  }
+  return models;
+}
+
+module.exports = { callOpenAICompatible, getModels, buildPayload };
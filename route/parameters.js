@@ -0,0 +1,64 @@
+// User-overridable generation parameters. Names follow the OpenAI
+// chat-completions convention; each client translates them for its API.
+
+const PARAMETER_KEYS = [
+  "temperature",
+  "top_p",
+  "top_k",
+  "max_tokens",
+  "seed",
+  "reasoning_effort",
+  "thinking_budget",
+  "frequency_penalty",
+  "presence_penalty",
+];
+
+function pickParameters(source) {
+  const out = {};
+  if (!source || typeof source !== "object") return out;
+  for (const key of PARAMETER_KEYS) {
+    const value = source[key];
+    if (value === undefined || value === null || value === "") continue;
+    out[key] = value;
+  }
+  return out;
+}
+
+// Merges the `vsx.modelParameters` entries that apply to modelId, from the
+// shortest matching prefix to the exact id, then the per-conversation
+// overrides sent by the webview. Only explicitly set values are returned so
+// each client's own defaults still apply to everything else.
+function resolveModelParameters(modelId, settings, overrides) {
+  const merged = {};
+  if (settings && typeof settings === "object" && modelId) {
+    const keys = Object.keys(settings)
+      .filter((k) => k === modelId || (k && modelId.startsWith(k)))
+      .sort((a, b) => a.length - b.length);
+    for (const key of keys) Object.assign(merged, pickParameters(settings[key]));
+  }
+  return Object.assign(merged, pickParameters(overrides));
+}
+
+// Gemini's generationConfig uses camelCase names and has no reasoning_effort;
+// thinking_budget (thinking tokens, -1 lets the model decide, 0 turns thinking
+// off) goes into thinkingConfig.
+function toGeminiGenerationConfig(params) {
+  const p = params || {};
+  const config = {};
+  if (p.temperature !== undefined) config.temperature = Number(p.temperature);
+  if (p.top_p !== undefined) config.topP = Number(p.top_p);
+  if (p.top_k !== undefined) config.topK = Number(p.top_k);
+  if (p.max_tokens !== undefined) config.maxOutputTokens = Number(p.max_tokens);
+  if (p.seed !== undefined) config.seed = Number(p.seed);
+  if (p.frequency_penalty !== undefined) config.frequencyPenalty = Number(p.frequency_penalty);
+  if (p.presence_penalty !== undefined) config.presencePenalty = Number(p.presence_penalty);
+  if (p.thinking_budget !== undefined) config.thinkingConfig = { thinkingBudget: Number(p.thinking_budget) };
+  return config;
+}
+
+module.exports = {
+  PARAMETER_KEYS,
+  pickParameters,
+  resolveModelParameters,
+  toGeminiGenerationConfig,
+};
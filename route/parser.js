@@ -8,9 +8,18 @@
 
       const fs = require("fs");
       const path = require("path");
+      const { validate } = require("./schema");
 
       // parseResponse accepts optional options: { modeId: 'ask' }
+      // Token usage reported by the provider lands in metadata.usage.
       function parseResponse(raw, options = {}) {
+        const out = parseResponseBody(raw, options);
+        const usage = extractUsage(raw);
+        if (usage) out.metadata = Object.assign({}, out.metadata, { usage });
+        return out;
+      }
+
+      function parseResponseBody(raw, options) {
         const out = { plain_text: "", thinking_text: "", raw: raw, metadata: {} };
 
         if (!raw) return out;
@@ -22,35 +31,15 @@
 
           const lines = sseData.split("\n");
           for (const line of lines) {
-            if (line.startsWith("data: ") && !line.includes("[DONE]")) {
-              try {
-                const jsonStr = line.substring(6);
-                const chunk = JSON.parse(jsonStr);
-
-                if (chunk.choices && Array.isArray(chunk.choices)) {
-                  for (const choice of chunk.choices) {
-                    if (choice.delta) {
-                      if (
-                        choice.delta.content &&
-                        typeof choice.delta.content === "string"
-                      ) {
-                        texts.push(choice.delta.content);
-                      }
-                      if (
-                        choice.delta.reasoning_content &&
-                        typeof choice.delta.reasoning_content === "string"
-                      ) {
-                        thinkingParts.push(choice.delta.reasoning_content);
-                      }
-                    }
-                  }
-                }
-              } catch {}
-            }
+            const delta = parseSseLine(line);
+            if (!delta) continue;
+            if (delta.plain_text) texts.push(delta.plain_text);
+            if (delta.thinking_text) thinkingParts.push(delta.thinking_text);
           }
 
-          out.plain_text = texts.join("").trim();
-          out.thinking_text = thinkingParts.join("").trim();
+          const split = splitThinkTags(texts.join(""));
+          out.plain_text = split.plain_text.trim();
+          out.thinking_text = (thinkingParts.join("") + split.thinking_text).trim();
           // process file chips in the plain_text
           processFileChips(out, options);
           return out;
@@ -66,6 +55,11 @@
                 texts.push(c.message.content);
               else if (Array.isArray(c.message.content))
                 texts.push(c.message.content.join("\n"));
+              // non-streamed reasoning, the counterpart of delta.reasoning_content
+              if (typeof c.message.reasoning_content === "string")
+                thinkingParts.push(c.message.reasoning_content);
+              else if (typeof c.message.reasoning === "string")
+                thinkingParts.push(c.message.reasoning);
             } else if (typeof c.text === "string") {
               texts.push(c.text);
             }
@@ -73,7 +67,9 @@
             if (typeof c.reasoning === "string") thinkingParts.push(c.reasoning);
             if (typeof c.thinking === "string") thinkingParts.push(c.thinking);
           }
-          out.plain_text = texts.join("\n").trim();
+          const split = splitThinkTags(texts.join("\n"));
+          if (split.thinking_text) thinkingParts.push(split.thinking_text);
+          out.plain_text = split.plain_text.trim();
           out.thinking_text = thinkingParts.join("\n").trim();
           if (raw.metadata && typeof raw.metadata === "object") out.metadata = raw.metadata;
           processFileChips(out, options);
@@ -81,15 +77,28 @@
         }
 
         if (Array.isArray(raw.candidates) && raw.candidates.length) {
+          const thoughts = [];
+          const texts = collectCandidateText(raw.candidates, thoughts);
+          out.plain_text = texts.join("\n").trim();
+          out.thinking_text = thoughts.join("").trim();
+          if (!out.thinking_text && raw.metadata && typeof raw.metadata.reasoning === "string")
+            out.thinking_text = raw.metadata.reasoning.trim();
+          processFileChips(out, options);
+          return out;
+        }
+
+        // Anthropic Messages API: content is an array of typed blocks
+        if (Array.isArray(raw.content) && raw.content.length) {
           const texts = [];
-          for (const cand of raw.candidates) {
-            if (!cand) continue;
-            if (typeof cand.text === "string") texts.push(cand.text);
-            else if (typeof cand.content === "string") texts.push(cand.content);
-            else if (Array.isArray(cand.content)) texts.push(cand.content.join("\n"));
+          const thinkingParts = [];
+          for (const block of raw.content) {
+            if (!block) continue;
+            if (block.type === "text" && typeof block.text === "string") texts.push(block.text);
+            else if (block.type === "thinking" && typeof block.thinking === "string")
+              thinkingParts.push(block.thinking);
           }
           out.plain_text = texts.join("\n").trim();
-          if (raw.metadata && typeof raw.metadata.reasoning === "string") out.thinking_text = raw.metadata.reasoning.trim();
+          out.thinking_text = thinkingParts.join("\n").trim();
           processFileChips(out, options);
           return out;
         }
@@ -111,6 +120,411 @@
         return out;
       }
 
+      // Extract the text deltas carried by a single SSE `data:` line. Returns null
+      // for comments, keep-alives, [DONE] markers and anything that fails to parse.
+      function parseSseLine(line) {
+        if (!line || !line.startsWith("data:") || line.includes("[DONE]")) return null;
+        let chunk;
+        try {
+          chunk = JSON.parse(line.substring(5).trim());
+        } catch {
+          return null;
+        }
+        const delta = { plain_text: "", thinking_text: "" };
+        if (chunk && Array.isArray(chunk.choices)) {
+          for (const choice of chunk.choices) {
+            if (!choice || !choice.delta) continue;
+            if (typeof choice.delta.content === "string")
+              delta.plain_text += choice.delta.content;
+            if (typeof choice.delta.reasoning_content === "string")
+              delta.thinking_text += choice.delta.reasoning_content;
+          }
+        }
+        // Anthropic Messages API streams typed events; only content deltas carry text
+        if (chunk && chunk.type === "content_block_delta" && chunk.delta) {
+          if (typeof chunk.delta.text === "string")
+            delta.plain_text += chunk.delta.text;
+          if (typeof chunk.delta.thinking === "string")
+            delta.thinking_text += chunk.delta.thinking;
+        }
+        // Gemini streamGenerateContent chunks are partial GenerateContentResponses
+        if (chunk && Array.isArray(chunk.candidates)) {
+          const thoughts = [];
+          delta.plain_text += collectCandidateText(chunk.candidates, thoughts).join("");
+          delta.thinking_text += thoughts.join("");
+        }
+        return delta;
+      }
+
+      // Token counts from a response, normalized to { promptTokens,
+      // completionTokens, reasoningTokens, totalTokens } or null when the
+      // provider reported none. completionTokens leaves reasoning out: OpenAI
+      // style usage folds it into completion_tokens, Gemini counts it apart as
+      // thoughtsTokenCount. In SSE bodies later events win field by field,
+      // which covers Gemini's cumulative usageMetadata, the final usage chunk
+      // of OpenAI streams and Anthropic's message_start/message_delta split.
+      function extractUsage(raw) {
+        if (!raw) return null;
+        if (typeof raw !== "string" && !(raw.raw && typeof raw.raw === "string"))
+          return finishUsage(readUsage(raw));
+        let usage = null;
+        for (const line of String(raw.raw || raw).split("\n")) {
+          if (!line.startsWith("data:")) continue;
+          let chunk;
+          try {
+            chunk = JSON.parse(line.substring(5).trim());
+          } catch {
+            continue;
+          }
+          const found = readUsage(chunk);
+          if (!found) continue;
+          usage = usage || {};
+          for (const key of Object.keys(found)) {
+            if (found[key] !== undefined) usage[key] = found[key];
+          }
+        }
+        return finishUsage(usage);
+      }
+
+      function readUsage(obj) {
+        if (!obj || typeof obj !== "object") return null;
+        const gemini = obj.usageMetadata;
+        if (gemini && typeof gemini === "object") {
+          return {
+            promptTokens: gemini.promptTokenCount,
+            completionTokens: gemini.candidatesTokenCount,
+            reasoningTokens: gemini.thoughtsTokenCount,
+            totalTokens: gemini.totalTokenCount,
+          };
+        }
+        const message = obj.type === "message_start" && obj.message ? obj.message : obj;
+        const u = message.usage;
+        if (!u || typeof u !== "object") return null;
+        if (u.prompt_tokens !== undefined || u.completion_tokens !== undefined) {
+          const details = u.completion_tokens_details || {};
+          const reasoning = Number(details.reasoning_tokens) || 0;
+          return {
+            promptTokens: u.prompt_tokens,
+            completionTokens:
+              u.completion_tokens === undefined ? undefined : u.completion_tokens - reasoning,
+            reasoningTokens: reasoning,
+            totalTokens: u.total_tokens,
+          };
+        }
+        if (u.input_tokens !== undefined || u.output_tokens !== undefined) {
+          // cached prompt tokens are reported apart from input_tokens
+          const input =
+            u.input_tokens === undefined
+              ? undefined
+              : u.input_tokens +
+                (u.cache_creation_input_tokens || 0) +
+                (u.cache_read_input_tokens || 0);
+          return { promptTokens: input, completionTokens: u.output_tokens };
+        }
+        return null;
+      }
+
+      function finishUsage(usage) {
+        if (!usage) return null;
+        const out = {
+          promptTokens: Number(usage.promptTokens) || 0,
+          completionTokens: Number(usage.completionTokens) || 0,
+          reasoningTokens: Number(usage.reasoningTokens) || 0,
+        };
+        out.totalTokens =
+          Number(usage.totalTokens) || out.promptTokens + out.completionTokens + out.reasoningTokens;
+        return out;
+      }
+
+      // Tool calls the model asked for, as [{ id, name, arguments }] with the
+      // arguments parsed into an object. Handles chat-completions responses
+      // (message.tool_calls, or delta.tool_calls fragments joined by index in
+      // SSE bodies) and Gemini functionCall parts in either form. Gemini sends
+      // no ids, so calls get positional ones; its thoughtSignature is kept
+      // because it has to be sent back with the call.
+      function extractToolCalls(raw) {
+        if (!raw) return [];
+        const events = [];
+        if (typeof raw === "string" || (raw.raw && typeof raw.raw === "string")) {
+          for (const line of String(raw.raw || raw).split("\n")) {
+            if (!line.startsWith("data:") || line.includes("[DONE]")) continue;
+            try {
+              events.push(JSON.parse(line.substring(5).trim()));
+            } catch {
+            }
+          }
+        } else {
+          events.push(raw);
+        }
+
+        const calls = [];
+        const streamed = new Map();
+        for (const ev of events) {
+          if (!ev || typeof ev !== "object") continue;
+          for (const choice of ev.choices || []) {
+            if (!choice) continue;
+            const complete = choice.message && choice.message.tool_calls;
+            for (const tc of Array.isArray(complete) ? complete : []) {
+              if (tc && tc.function)
+                calls.push({ id: tc.id, name: tc.function.name, arguments: tc.function.arguments });
+            }
+            const fragments = choice.delta && choice.delta.tool_calls;
+            for (const tc of Array.isArray(fragments) ? fragments : []) {
+              if (!tc) continue;
+              const key = tc.index !== undefined ? tc.index : streamed.size;
+              let call = streamed.get(key);
+              if (!call) {
+                call = { id: undefined, name: "", arguments: "" };
+                streamed.set(key, call);
+                calls.push(call);
+              }
+              if (tc.id) call.id = tc.id;
+              if (tc.function && tc.function.name) call.name += tc.function.name;
+              if (tc.function && typeof tc.function.arguments === "string")
+                call.arguments += tc.function.arguments;
+            }
+          }
+          for (const cand of ev.candidates || []) {
+            const parts = cand && cand.content && cand.content.parts;
+            for (const part of Array.isArray(parts) ? parts : []) {
+              if (!part || !part.functionCall) continue;
+              const fc = part.functionCall;
+              const call = { id: fc.id, name: fc.name, arguments: fc.args };
+              if (part.thoughtSignature) call.thoughtSignature = part.thoughtSignature;
+              calls.push(call);
+            }
+          }
+        }
+
+        return calls
+          .filter((c) => c.name)
+          .map((c, i) => Object.assign({}, c, {
+            id: c.id || `call_${i}`,
+            arguments: parseToolArguments(c.arguments),
+          }));
+      }
+
+      function parseToolArguments(args) {
+        if (args && typeof args === "object") return args;
+        if (typeof args !== "string" || !args.trim()) return {};
+        try {
+          const parsed = JSON.parse(args);
+          return parsed && typeof parsed === "object" ? parsed : {};
+        } catch {
+          return {};
+        }
+      }
+
+      // Collect the text of Gemini candidates, whether the content is a plain
+      // string, an array, or the API's { parts: [{ text }] } shape. Thought
+      // summaries (parts with `thought: true`) go to `thoughts` when given and
+      // are left out of the answer either way.
+      function collectCandidateText(candidates, thoughts) {
+        const texts = [];
+        for (const cand of candidates) {
+          if (!cand) continue;
+          if (typeof cand.text === "string") texts.push(cand.text);
+          else if (typeof cand.content === "string") texts.push(cand.content);
+          else if (Array.isArray(cand.content)) texts.push(cand.content.join("\n"));
+          else if (cand.content && Array.isArray(cand.content.parts)) {
+            for (const part of cand.content.parts) {
+              if (!part || typeof part.text !== "string") continue;
+              if (part.thought === true) {
+                if (thoughts) thoughts.push(part.text);
+              } else texts.push(part.text);
+            }
+          }
+        }
+        return texts;
+      }
+
+      // Reasoning that models write into the answer itself: Qwen thinking
+      // models, Nemotron with /think and some DeepSeek templates stream
+      // "<think>…</think>" in delta.content. Only a block that opens before any
+      // answer text counts, so an answer that merely mentions the tag is kept.
+      // Templates that open the block in the prompt (DeepSeek-R1 style) send
+      // only the closing tag; everything before it is reasoning too.
+      const THINK_TAG_NAMES = ["think", "thinking"];
+      const OPEN_TAGS = THINK_TAG_NAMES.map((n) => `<${n}>`);
+      const CLOSE_TAGS = THINK_TAG_NAMES.map((n) => `</${n}>`);
+
+      // Length of the longest tail of `text` that could be the start of `tag`
+      function partialTagLength(text, tag) {
+        for (let n = Math.min(tag.length - 1, text.length); n > 0; n--) {
+          if (text.endsWith(tag.slice(0, n))) return n;
+        }
+        return 0;
+      }
+
+      // The earliest of `tags` in text, as { index, tag }, or null
+      function findFirstTag(text, tags) {
+        let found = null;
+        for (const tag of tags) {
+          const index = text.indexOf(tag);
+          if (index !== -1 && (!found || index < found.index)) found = { index, tag };
+        }
+        return found;
+      }
+
+      // Splits content into answer and reasoning as it streams. A tag cut
+      // between two chunks is held back until the next push settles it. push()
+      // and flush() return { plain_text, thinking_text }; flush() releases
+      // whatever is held and starts over. When a closing tag turns up before
+      // any opening one, the result also has `reclassified: true`: the
+      // plain_text handed out so far was reasoning, and consumers move it over
+      // to the thinking text.
+      function createThinkTagSplitter() {
+        // "start": only whitespace so far; "thinking": inside the block;
+        // "after": block closed, dropping the blank lines that follow it;
+        // "untagged": answer text with no tag yet, watching for an orphan
+        // closing tag; "answer": everything passes through
+        let state = "start";
+        let closeTag = "";
+        let held = "";
+
+        function push(text) {
+          const out = { plain_text: "", thinking_text: "" };
+          if (!text) return out;
+          if (state === "answer") {
+            out.plain_text = text;
+            return out;
+          }
+          held += text;
+
+          if (state === "start") {
+            const lead = held.trimStart();
+            const open = OPEN_TAGS.find((tag) => lead.startsWith(tag));
+            if (open) {
+              state = "thinking";
+              closeTag = `</${open.slice(1)}`;
+              held = lead.slice(open.length);
+            } else if (!lead || OPEN_TAGS.some((tag) => tag.startsWith(lead))) {
+              return out;
+            } else {
+              state = "untagged";
+            }
+          }
+
+          if (state === "untagged") {
+            const close = findFirstTag(held, CLOSE_TAGS);
+            const open = findFirstTag(held, OPEN_TAGS);
+            if (open && (!close || open.index < close.index)) {
+              // the answer talks about the tags; it is not reasoning
+              state = "answer";
+              out.plain_text = held;
+              held = "";
+              return out;
+            }
+            if (!close) {
+              const keep = Math.max(
+                ...OPEN_TAGS.concat(CLOSE_TAGS).map((tag) => partialTagLength(held, tag))
+              );
+              out.plain_text = held.slice(0, held.length - keep);
+              held = held.slice(held.length - keep);
+              return out;
+            }
+            out.reclassified = true;
+            out.thinking_text = held.slice(0, close.index);
+            held = held.slice(close.index + close.tag.length);
+            state = "after";
+          }
+
+          if (state === "thinking") {
+            const end = held.indexOf(closeTag);
+            if (end < 0) {
+              const keep = partialTagLength(held, closeTag);
+              out.thinking_text = held.slice(0, held.length - keep);
+              held = held.slice(held.length - keep);
+              return out;
+            }
+            out.thinking_text = held.slice(0, end);
+            held = held.slice(end + closeTag.length);
+            state = "after";
+          }
+
+          // state === "after"
+          held = held.trimStart();
+          if (held) {
+            out.plain_text = held;
+            held = "";
+            state = "answer";
+          }
+          return out;
+        }
+
+        function flush() {
+          const out = { plain_text: "", thinking_text: "" };
+          // an unterminated block is still reasoning
+          if (state === "thinking") out.thinking_text = held;
+          else out.plain_text = held;
+          state = "start";
+          closeTag = "";
+          held = "";
+          return out;
+        }
+
+        return { push, flush };
+      }
+
+      // The same split over a finished text, by the same state machine, so the
+      // stored result matches what streamed.
+      function splitThinkTags(text) {
+        const splitter = createThinkTagSplitter();
+        const head = splitter.push(String(text || ""));
+        const tail = splitter.flush();
+        return {
+          plain_text: head.plain_text + tail.plain_text,
+          thinking_text: head.thinking_text + tail.thinking_text,
+        };
+      }
+
+      // Incremental counterpart of parseResponse for SSE bodies. Feed it raw
+      // network chunks as they arrive; each push returns the text that became
+      // complete with that chunk ({ plain_text, thinking_text }) or null when a
+      // chunk only carried a partial line. Inline <think> blocks are moved to
+      // thinking_text as they stream, and a delta with `reclassified: true`
+      // says the plain_text before it was reasoning (see
+      // createThinkTagSplitter); flush() ends one answer and readies the
+      // parser for the next.
+      function createStreamParser() {
+        let pending = "";
+        const thinkTags = createThinkTagSplitter();
+
+        function consume(lines, last) {
+          const delta = { plain_text: "", thinking_text: "" };
+          for (const line of lines) {
+            const d = parseSseLine(line.replace(/\r$/, ""));
+            if (!d) continue;
+            delta.plain_text += d.plain_text;
+            delta.thinking_text += d.thinking_text;
+          }
+          const split = thinkTags.push(delta.plain_text);
+          const rest = last ? thinkTags.flush() : { plain_text: "", thinking_text: "" };
+          delta.plain_text = split.plain_text + rest.plain_text;
+          delta.thinking_text += split.thinking_text + rest.thinking_text;
+          if (split.reclassified) {
+            delta.reclassified = true;
+            return delta;
+          }
+          return delta.plain_text || delta.thinking_text ? delta : null;
+        }
+
+        return {
+          push(chunk) {
+            if (!chunk) return null;
+            pending += String(chunk);
+            const lines = pending.split("\n");
+            pending = lines.pop();
+            return consume(lines);
+          },
+          flush() {
+            const rest = pending;
+            pending = "";
+            return consume(rest ? [rest] : [], true);
+          },
+        };
+      }
+
   function processFileChips(out) {
         if (!out || !out.plain_text) return;
         const chipPattern = /\*\*\*\s*file:\s*([^*]+?)\s*\*\*\*/gi;
@@ -130,19 +544,21 @@
 
 
       // Attempt to read a mode file and parse an embedded validator JSON object.
-      // Modes are expected at ../modes/<modeId>.js relative to this file.
+      // Modes are expected at ../modes/<modeId>.js relative to this file. The
+      // object is a JSON Schema the mode's answers must satisfy, see
+      // parseStructured.
       function tryExtractValidatorFromMode(modeId) {
         try {
           const modePath = path.join(__dirname, "..", "modes", `${modeId}.js`);
           if (!fs.existsSync(modePath)) return null;
           const content = fs.readFileSync(modePath, "utf8");
           // Look for a JS comment block like: /* ASK_MODE_VALIDATOR: { ... } */
-          const re = /ASK_MODE_VALIDATOR\s*:\s*(\{[\s\S]*?\})/m;
-          const m = content.match(re);
+          const m = /ASK_MODE_VALIDATOR\s*:\s*\{/m.exec(content);
           if (!m) return null;
+          const json = sliceJsonValue(content, m.index + m[0].length - 1);
+          if (!json) return null;
           try {
-            const json = JSON.parse(m[1]);
-            return json;
+            return JSON.parse(json);
           } catch {
             return null;
           }
@@ -151,6 +567,58 @@
         }
       }
 
+      // The balanced {...} or [...] starting at `start`, skipping brackets
+      // inside strings; null when it never closes.
+      function sliceJsonValue(text, start) {
+        const open = text[start];
+        const close = open === "{" ? "}" : open === "[" ? "]" : null;
+        if (!close) return null;
+        let depth = 0;
+        let inString = false;
+        for (let i = start; i < text.length; i++) {
+          const ch = text[i];
+          if (inString) {
+            if (ch === "\\") i++;
+            else if (ch === '"') inString = false;
+          } else if (ch === '"') {
+            inString = true;
+          } else if (ch === "{" || ch === "[") {
+            depth++;
+          } else if (ch === "}" || ch === "]") {
+            depth--;
+            if (depth === 0) return ch === close ? text.slice(start, i + 1) : null;
+          }
+        }
+        return null;
+      }
+
+      // Reads a structured answer out of model text and checks it against the
+      // schema. Models sometimes wrap JSON in a ```json fence or a sentence, so
+      // the first complete object or array is used when the whole text does
+      // not parse. Returns { value, valid, errors }.
+      function parseStructured(text, schema) {
+        const source = String(text || "").trim();
+        let value;
+        let parsed = false;
+        const fenced = /```(?:json)?\s*\n([\s\S]*?)\n?```/i.exec(source);
+        const candidates = [source];
+        if (fenced) candidates.push(fenced[1].trim());
+        const first = source.search(/[{[]/);
+        if (first !== -1) candidates.push(sliceJsonValue(source, first));
+        for (const candidate of candidates) {
+          if (!candidate) continue;
+          try {
+            value = JSON.parse(candidate);
+            parsed = true;
+            break;
+          } catch {
+          }
+        }
+        if (!parsed) return { value: null, valid: false, errors: ["$: the response is not valid JSON"] };
+        const errors = schema ? validate(value, schema) : [];
+        return { value, valid: errors.length === 0, errors };
+      }
+
       function sendPlainTextToWebview(plainText, meta = "done", responseData = null) {
         try {
           if (!vscode) return false;
@@ -172,4 +640,14 @@
         }
       }
 
-      module.exports = { parseResponse, sendPlainTextToWebview };
+      module.exports = {
+        parseResponse,
+        createStreamParser,
+        createThinkTagSplitter,
+        splitThinkTags,
+        extractUsage,
+        extractToolCalls,
+        parseStructured,
+        tryExtractValidatorFromMode,
+        sendPlainTextToWebview,
+      };
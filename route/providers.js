@@ -0,0 +1,206 @@
+const gemini = require("./geminiclient");
+const nvidia = require("./nvidiaclient");
+const anthropic = require("./anthropicclient");
+const openaiCompatible = require("./openaiclient");
+const mock = require("./mockclient");
+const parser = require("./parser");
+
+// Provider registry. Each provider declares:
+//   id           - value used as `provider` on its model entries
+//   name         - label shown in the API key setup picker
+//   keySetting   - `vsx.*` setting that holds its API key (must also be
+//                  contributed in package.json so VS Code knows about it)
+//   keyOptional  - true when requests may be sent without a key
+//   isAvailable  - optional (config) => bool, hides the provider's models when false
+//   matchesModel - optional (modelId) => bool, claims model ids with no metadata
+//   getModels    - (config) => [{ id, name, provider }], the curated list
+//   discoverModels - optional ({ apiKey, config }) => [{ id, name }] from the
+//                  provider's model-list endpoint, merged over getModels()
+//   supportsTools - true when call() accepts tools and tool-round messages
+//   call         - ({ apiKey, modelId, messages, onChunk, signal, parameters, config,
+//                  tools, toolChoice, responseSchema }) => raw response, messages
+//                  being [{ role: 'system' | 'user' | 'assistant', content }] with
+//                  at most one leading system message, parameters the generation
+//                  overrides from route/parameters, tools/toolChoice plus any
+//                  'tool' messages in the format described in route/tools, and
+//                  responseSchema a JSON Schema the answer should follow (the
+//                  system message restates it for providers that ignore it;
+//                  the router never sends it in the same call as tools)
+//   extractText  - (raw) => answer text
+// `config` is the `vsx` WorkspaceConfiguration (or anything with a get(key)).
+const providers = new Map();
+
+function registerProvider(provider) {
+  if (!provider || !provider.id) throw new Error("Provider must have an id");
+  for (const fn of ["getModels", "call", "extractText"]) {
+    if (typeof provider[fn] !== "function")
+      throw new Error(`Provider ${provider.id} is missing ${fn}()`);
+  }
+  providers.set(provider.id, provider);
+  return provider;
+}
+
+function getProvider(id) {
+  return providers.get(id) || null;
+}
+
+function listProviders() {
+  return Array.from(providers.values());
+}
+
+// Fallback extractor for responses the streaming parser understands
+// (SSE bodies, chat-completions objects, Messages API content blocks).
+function extractWithParser(r) {
+  if (!r) return "";
+  const parsed = parser.parseResponse(r);
+  return parsed.plain_text || (typeof r.raw === "string" ? "" : JSON.stringify(r));
+}
+
+function extractTextFromGemini(r) {
+  try {
+    if (!r) return "";
+    if (typeof r.raw === "string") return parser.parseResponse(r).plain_text;
+    if (Array.isArray(r.candidates)) {
+      const texts = [];
+      for (const cand of r.candidates) {
+        const content = cand.content;
+        if (!content) continue;
+        let partsArr = null;
+        if (Array.isArray(content)) partsArr = content;
+        else if (content.parts && Array.isArray(content.parts))
+          partsArr = content.parts;
+        if (partsArr) {
+          for (const p of partsArr) {
+            if (!p) continue;
+            if (typeof p === "string") texts.push(p);
+            // thought summaries belong to thinking_text, not the answer
+            else if (p.thought === true) continue;
+            else if (typeof p.text === "string") texts.push(p.text);
+            else if (typeof p.content === "string") texts.push(p.content);
+          }
+        } else if (typeof cand.text === "string") {
+          texts.push(cand.text);
+        }
+      }
+
+      if (texts.length > 0) return texts.join("\n").trim();
+    }
+    if (r.output && typeof r.output === "string") return r.output.trim();
+    if (r.message && typeof r.message === "string") return r.message.trim();
+    return JSON.stringify(r);
+  } catch {
+    return JSON.stringify(r);
+  }
+}
+
+function extractTextFromNvidia(r) {
+  try {
+    if (!r) return "";
+    if (typeof r.raw === "string") return parser.parseResponse(r).plain_text;
+    if (Array.isArray(r.choices)) {
+      const texts = [];
+      for (const c of r.choices) {
+        if (c && c.message) {
+          if (typeof c.message === "string") texts.push(c.message);
+          else if (typeof c.message.content === "string")
+            texts.push(c.message.content);
+          else if (Array.isArray(c.message.content))
+            texts.push(c.message.content.join("\n"));
+        } else if (typeof c.text === "string") {
+          texts.push(c.text);
+        }
+      }
+      // inline <think> reasoning is not part of the answer
+      if (texts.length) return parser.splitThinkTags(texts.join("\n")).plain_text.trim();
+    }
+
+    if (r.output && typeof r.output === "string") return r.output.trim();
+    if (r.message && typeof r.message === "string") return r.message.trim();
+
+    return JSON.stringify(r);
+  } catch {
+    return JSON.stringify(r);
+  }
+}
+
+registerProvider({
+  id: "gemini",
+  name: "Google Gemini",
+  keySetting: "apiKey.gemini",
+  matchesModel: (modelId) => modelId.startsWith("gemini"),
+  getModels: () => gemini.getModels(),
+  discoverModels: ({ apiKey }) => gemini.listModels(apiKey),
+  supportsTools: true,
+  call: ({ apiKey, modelId, messages, ...options }) =>
+    gemini.callGemini(apiKey, modelId || "", messages, options),
+  extractText: extractTextFromGemini,
+});
+
+registerProvider({
+  id: "nvidia",
+  name: "NVIDIA AI",
+  keySetting: "apiKey.nvidia",
+  matchesModel: (modelId) => modelId.includes("/"),
+  getModels: () => nvidia.getModels(),
+  discoverModels: ({ apiKey }) => nvidia.listModels(apiKey),
+  supportsTools: true,
+  call: ({ apiKey, modelId, messages, ...options }) =>
+    nvidia.callNvidia(apiKey, modelId, messages, options),
+  extractText: extractTextFromNvidia,
+});
+
+registerProvider({
+  id: "anthropic",
+  name: "Anthropic Claude",
+  keySetting: "apiKey.anthropic",
+  matchesModel: (modelId) => modelId.startsWith("claude"),
+  getModels: () => anthropic.getModels(),
+  call: ({ apiKey, modelId, messages, onChunk, signal, parameters }) =>
+    anthropic.callAnthropic(apiKey, modelId, messages, { onChunk, signal, parameters }),
+  extractText: extractWithParser,
+});
+
+registerProvider({
+  id: "openai-compatible",
+  name: "OpenAI-compatible server",
+  keySetting: "apiKey.openaiCompatible",
+  keyOptional: true,
+  isAvailable: (config) => !!config.get("openaiCompatible.baseUrl"),
+  getModels: (config) =>
+    openaiCompatible.getModels(config.get("openaiCompatible.models") || []),
+  supportsTools: true,
+  call: ({ apiKey, modelId, messages, config, ...options }) =>
+    openaiCompatible.callOpenAICompatible(
+      config.get("openaiCompatible.baseUrl"),
+      apiKey,
+      modelId,
+      messages,
+      Object.assign({ streamUsage: config.get("openaiCompatible.streamUsage") === true }, options)
+    ),
+  extractText: extractWithParser,
+});
+
+// Scripted answers for development, see ./mockclient. No keySetting, so it
+// stays out of the API key picker.
+registerProvider({
+  id: "mock",
+  name: "Mock",
+  keyOptional: true,
+  isAvailable: (config) => !!config.get("dev.mockProvider"),
+  matchesModel: (modelId) => modelId.startsWith("mock-"),
+  getModels: () => mock.getModels(),
+  call: ({ modelId, messages, onChunk, signal, config }) =>
+    mock.callMock(modelId, messages, {
+      onChunk,
+      signal,
+      errorKind: config.get("dev.mockError"),
+      delayMs: config.get("dev.mockDelayMs"),
+    }),
+  extractText: extractWithParser,
+});
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders,
+};
@@ -0,0 +1,101 @@
+const { createAbortError, isAbortError } = require("./abort");
+const { describeError } = require("./errors");
+
+// Shared retry layer for provider calls: exponential backoff with jitter that
+// honours Retry-After, for failures that are safe to repeat.
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 60 * 1000;
+
+const RETRYABLE_CODES = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "EPIPE",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+]);
+
+// Rate limits, provider outages and dropped sockets, going by the same
+// classification the error bubble uses. An exhausted quota is reported with a
+// 429 too, but waiting won't refill it. Anything else (bad requests, auth
+// failures, DNS and certificate errors, cancellation) fails the same way on
+// every attempt.
+function isRetryable(err) {
+  if (!err || isAbortError(err)) return false;
+  const { kind } = describeError(err);
+  if (kind === "rate_limit" || kind === "unavailable") return true;
+  if (kind !== "network") return false;
+  if (err.code && RETRYABLE_CODES.has(err.code)) return true;
+  return /socket hang up/i.test(String(err.message || ""));
+}
+
+// Retry-After is either a number of seconds or an HTTP date.
+function parseRetryAfter(headers) {
+  const value = headers && headers["retry-after"];
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  return null;
+}
+
+function computeDelay(attempt, baseDelayMs, err) {
+  const retryAfter = parseRetryAfter(err && err.headers);
+  if (retryAfter !== null) return Math.min(retryAfter, MAX_DELAY_MS);
+  const exp = Math.min(baseDelayMs * Math.pow(2, attempt - 1), MAX_DELAY_MS);
+  // "equal jitter": half fixed, half random, so clients don't retry in lockstep
+  return Math.round(exp / 2 + Math.random() * (exp / 2));
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(createAbortError());
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    function onAbort() {
+      clearTimeout(timer);
+      reject(createAbortError());
+    }
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+function numberOr(value, fallback) {
+  const n = Number(value);
+  return value !== undefined && value !== null && Number.isFinite(n) ? n : fallback;
+}
+
+// Calls fn(attempt) until it resolves, throws a non-retryable error, or
+// maxAttempts is reached. options:
+//   maxAttempts, baseDelayMs - backoff tuning
+//   signal                   - aborts the wait between attempts
+//   shouldRetry(err)         - extra veto, e.g. once a stream produced output
+//   onRetry({ attempt, maxAttempts, delayMs, error }) - called before each wait
+async function withRetry(fn, options = {}) {
+  const maxAttempts = Math.max(1, numberOr(options.maxAttempts, DEFAULT_MAX_ATTEMPTS));
+  const baseDelayMs = Math.max(0, numberOr(options.baseDelayMs, DEFAULT_BASE_DELAY_MS));
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      const vetoed =
+        typeof options.shouldRetry === "function" && !options.shouldRetry(err);
+      if (attempt >= maxAttempts || vetoed || !isRetryable(err)) throw err;
+      const delayMs = computeDelay(attempt, baseDelayMs, err);
+      if (typeof options.onRetry === "function") {
+        try {
+          options.onRetry({ attempt, maxAttempts, delayMs, error: err });
+        } catch (e) {
+          console.error("onRetry handler error:", e);
+        }
+      }
+      await sleep(delayMs, options.signal);
+    }
+  }
+}
+
+module.exports = { withRetry, isRetryable, parseRetryAfter };
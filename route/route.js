@@ -1,9 +1,35 @@
-const gemini = require("./geminiclient");
+const parser = require("./parser");
+const providers = require("./providers");
+const { createModelCatalog } = require("./modelcatalog");
+const { createConversationStore } = require("./conversation");
+const { withRetry } = require("./retry");
+const { createMissingKeyError, describeError, findResponseError } = require("./errors");
+const { resolveModelParameters } = require("./parameters");
+const tokens = require("./tokens");
+const { createUsageTracker, formatUsageSummary } = require("./usage");
+const toolRegistry = require("./tools");
 const modes = require("../modes");
 
-function createRouter() {
+// Failures that are about the model or its provider rather than the prompt, so
+// the next model in a fallback chain may well succeed: a missing, rejected or
+// out-of-quota key, access refused to the model, rate limits, outages,
+// unreachable hosts, retired models.
+const FALLBACK_KINDS = new Set([
+  "missing_key",
+  "invalid_key",
+  "permission_denied",
+  "quota",
+  "rate_limit",
+  "network",
+  "unavailable",
+  "bad_model",
+]);
 
-  function buildWrappedPrompt(userPrompt, modeId) {
+// overrides.getConfig stands in for the `vsx` configuration section, for
+// tests and scripts that drive the router without VS Code settings.
+function createRouter(context, overrides = {}) {
+
+  function getWrappers(modeId) {
     let top = '';
     let bottom = '';
     let fileHeader = '';
@@ -26,20 +52,35 @@ function createRouter() {
       }
     } catch {
     }
+    return { top, bottom, fileHeader };
+  }
 
+  // Splits the webview's `[text, { __files: true, files }]` prompt form into
+  // its text parts, attached text files and attached images ({ image: true,
+  // mimeType, data } entries, base64 encoded).
+  function splitPromptFiles(userPrompt) {
+    if (!Array.isArray(userPrompt) || !userPrompt.length)
+      return { parts: userPrompt, files: [], images: [] };
+    const last = userPrompt[userPrompt.length - 1];
+    if (last && typeof last === 'object' && last.__files && Array.isArray(last.files)) {
+      return {
+        parts: userPrompt.slice(0, -1),
+        files: last.files.filter(f => f && !f.image),
+        images: last.files.filter(f => f && f.image),
+      };
+    }
+    return { parts: userPrompt, files: [], images: [] };
+  }
+
+  // The user's turn as the model should see it, without mode wrappers: the
+  // prompt text plus any attached files.
+  function buildUserContent(userPrompt, modeId) {
     // Support passing files as a special marker: if userPrompt is an array and the
     // last element has a `__files` property, treat it specially so we can prepend
     // a file header and JSON-serialize the files for the model.
     if (Array.isArray(userPrompt)) {
-      let parts = userPrompt.slice();
-      let filesBlock = null;
-      if (parts.length > 0) {
-        const last = parts[parts.length - 1];
-        if (last && typeof last === 'object' && last.__files && Array.isArray(last.files)) {
-          filesBlock = last.files;
-          parts = parts.slice(0, parts.length - 1);
-        }
-      }
+      const { fileHeader } = getWrappers(modeId);
+      const { parts, files: filesBlock } = splitPromptFiles(userPrompt);
       let main = parts.join('\n\n');
       if (filesBlock && filesBlock.length) {
         const headerText = fileHeader ? (String(fileHeader) + '\n\n') : '';
@@ -47,43 +88,65 @@ function createRouter() {
         const filesJson = JSON.stringify(filesBlock);
         main = main + '\n\n' + headerText + filesJson;
       }
-      userPrompt = main;
+      return main;
     }
+    return userPrompt;
+  }
 
-    return `${top}\n\n${userPrompt}\n\n${bottom}`;
+  // Mode wrappers are instructions, not conversation: they travel as the
+  // system message (systemInstruction for Gemini, `system` for Anthropic).
+  function buildSystemPrompt(modeId) {
+    const { top, bottom } = getWrappers(modeId);
+    return [top, bottom].filter(Boolean).join('\n\n');
   }
 
-  function getApiKey() {
+  // The `vsx` configuration section. Outside VS Code (scripts, tests) a stub
+  // that returns undefined for every key keeps providers callable.
+  function getConfig() {
+    if (typeof overrides.getConfig === "function") return overrides.getConfig();
     try {
       const vscode = require("vscode");
-      const key = vscode.workspace.getConfiguration("vsx").get("apiKey.gemini");
-      return key || null;
+      return vscode.workspace.getConfiguration("vsx");
     } catch {
-      return null;
+      return { get: () => undefined };
     }
   }
 
-  async function getModels() {
-    let geminiModels = [];
-    let nvidiaModels = [];
+  function getApiKey(providerId) {
+    const provider = providers.getProvider(providerId);
+    if (!provider || !provider.keySetting) return null;
     try {
-      if (typeof gemini.getModels === "function")
-        geminiModels = gemini.getModels() || [];
+      return getConfig().get(provider.keySetting) || null;
     } catch {
-      geminiModels = [];
+      return null;
     }
+  }
+
+  function isProviderAvailable(provider, config) {
     try {
-      if (typeof nvidia.getModels === "function")
-        nvidiaModels = nvidia.getModels() || [];
+      return typeof provider.isAvailable !== "function" || !!provider.isAvailable(config);
     } catch {
-      nvidiaModels = [];
+      return false;
     }
+  }
 
+  const catalog = createModelCatalog({ context, getConfig, getApiKey });
+  const conversations = createConversationStore();
+  const usageTracker = createUsageTracker({ context, getConfig });
+
+  // options.refresh bypasses the discovery cache (model dropdown refresh).
+  async function getModels(options = {}) {
+    const config = getConfig();
     const combined = [];
-    if (Array.isArray(geminiModels) && geminiModels.length)
-      combined.push(...geminiModels);
-    if (Array.isArray(nvidiaModels) && nvidiaModels.length)
-      combined.push(...nvidiaModels);
+    for (const provider of providers.listProviders()) {
+      if (!isProviderAvailable(provider, config)) continue;
+      try {
+        const list = (await catalog.getProviderModels(provider, options)) || [];
+        if (Array.isArray(list) && list.length) combined.push(...list);
+      } catch (err) {
+        console.error(`Failed to list models for ${provider.id}:`, err);
+      }
+    }
     return {
       flatList: combined,
       byId: combined.reduce((acc, m) => {
@@ -93,120 +156,524 @@ function createRouter() {
     };
   }
 
-  async function sendPrompt(modelId, prompt, modeId) {
+  // The model list for one prompt. Discovery can hit the network, so a prompt
+  // resolves it once and hands the result to everything that needs metadata.
+  async function loadCatalog() {
     try {
-      const models = await getModels();
-      const byId = models.byId || {};
-      const modelMeta = modelId && byId[modelId] ? byId[modelId] : null;
-      const looksLikeNvidia = typeof modelId === 'string' && modelId.includes('/');
-      if ((modelMeta && modelMeta.provider === 'nvidia') || (!modelMeta && looksLikeNvidia)) {
-        return await sendPromptNvidia(modelId, prompt, modeId);
-      }
+      return await getModels();
     } catch {
+      return { flatList: [], byId: {} };
     }
+  }
 
-  const apiKey = getApiKey();
-  if (!apiKey) throw new Error("Gemini API key not configured");
-
-  // build wrapped prompt and log it
-  const prepared = buildWrappedPrompt(prompt, modeId);
-  console.log('Prepared prompt for Gemini:', prepared);
+  // Model metadata decides the provider; ids without metadata are offered to
+  // each provider's matchesModel(), and Gemini remains the historical default.
+  function resolveProvider(modelId, catalog) {
+    const modelMeta = modelId && catalog.byId[modelId] ? catalog.byId[modelId] : null;
+    if (modelMeta && providers.getProvider(modelMeta.provider))
+      return providers.getProvider(modelMeta.provider);
+    if (typeof modelId === "string" && modelId) {
+      for (const provider of providers.listProviders()) {
+        try {
+          if (typeof provider.matchesModel === "function" && provider.matchesModel(modelId))
+            return provider;
+        } catch {
+        }
+      }
+    }
+    return providers.getProvider("gemini");
+  }
 
-  const parts = Array.isArray(prepared) ? prepared : [prepared];
-  const resp = await gemini.callGemini(apiKey, modelId || "", parts);
-    function extractTextFromResponse(r) {
+  // Wraps options.onDelta in an onChunk handler that turns raw SSE chunks into
+  // { plain_text, thinking_text } deltas. Returns null when the caller did not
+  // ask for streaming updates. onChunk.reasoningMs() is the time spent between
+  // the first reasoning delta and the first answer text, summed over rounds.
+  // A reclassified delta (an orphan </think>) means the answer streamed so far
+  // was reasoning, so its time counts from the first output of the round.
+  function createChunkHandler(options) {
+    if (!options || typeof options.onDelta !== "function") return null;
+    const stream = parser.createStreamParser();
+    let reasoningMs = 0;
+    let reasoningSince = null;
+    let outputSince = null;
+    const endReasoning = () => {
+      if (reasoningSince === null) return;
+      reasoningMs += Date.now() - reasoningSince;
+      reasoningSince = null;
+    };
+    const emit = (delta) => {
+      if (!delta) return;
+      if (outputSince === null) outputSince = Date.now();
+      if (delta.reclassified && reasoningSince === null) reasoningSince = outputSince;
+      if (delta.plain_text || delta.reclassified) endReasoning();
+      else if (delta.thinking_text && reasoningSince === null) reasoningSince = Date.now();
       try {
-        if (!r) return "";
-        if (Array.isArray(r.candidates)) {
-          const texts = [];
-          for (const cand of r.candidates) {
-            const content = cand.content;
-            if (!content) continue;
-            let partsArr = null;
-            if (Array.isArray(content)) partsArr = content;
-            else if (content.parts && Array.isArray(content.parts))
-              partsArr = content.parts;
-            if (partsArr) {
-              for (const p of partsArr) {
-                if (!p) continue;
-                if (typeof p === "string") texts.push(p);
-                else if (typeof p.text === "string") texts.push(p.text);
-                else if (typeof p.content === "string") texts.push(p.content);
-              }
-            } else if (typeof cand.text === "string") {
-              texts.push(cand.text);
-            }
-          }
-
-          if (texts.length > 0) return texts.join("\n").trim();
-        }
-        if (r.output && typeof r.output === "string") return r.output.trim();
-        if (r.message && typeof r.message === "string") return r.message.trim();
-        return JSON.stringify(r);
-      } catch {
-        return JSON.stringify(r);
+        options.onDelta(delta);
+      } catch (err) {
+        console.error("onDelta handler error:", err);
       }
+    };
+    const onChunk = (chunk) => emit(stream.push(chunk));
+    onChunk.flush = () => {
+      emit(stream.flush());
+      endReasoning();
+      outputSince = null;
+    };
+    onChunk.reasoningMs = () => reasoningMs;
+    return onChunk;
+  }
+
+  // options.onStatus receives progress that is not model output, such as
+  // { state: "retrying", attempt, maxAttempts, delayMs, reason }.
+  function emitStatus(options, status) {
+    if (!options || typeof options.onStatus !== "function") return;
+    try {
+      options.onStatus(status);
+    } catch (err) {
+      console.error("onStatus handler error:", err);
     }
-    const text = extractTextFromResponse(resp);
-    return { raw: resp, text };
   }
-  const nvidia = require("./nvidiaclient");
-  function getNvidiaApiKey() {
+
+  // Models to try in order: the requested one, then its configured fallback
+  // chain from `vsx.fallbackChains` ({ "<model id>": ["<fallback id>", ...] },
+  // with "*" as the chain for models that have none of their own).
+  function getModelChain(modelId, config) {
+    const chains = config.get("fallbackChains") || {};
+    const chain = Array.isArray(chains[modelId]) ? chains[modelId] : chains["*"];
+    const ids = [modelId];
+    for (const id of Array.isArray(chain) ? chain : []) {
+      if (typeof id === "string" && id && !ids.includes(id)) ids.push(id);
+    }
+    return ids;
+  }
+
+  // Measures a prompt against modelId's context window. When it doesn't fit,
+  // the oldest history turns are left out first, then attached files are cut
+  // down to what is left after the system prompt, typed text and the room
+  // reserved for the answer. `usage.used` is the untrimmed total, so the
+  // webview can show how far over budget a prompt is.
+  function fitPromptToContext(modelId, prompt, modeId, history, options, catalog) {
+    const config = getConfig();
+    const provider = resolveProvider(modelId, catalog);
+    const providerId = provider ? provider.id : null;
+    const meta = catalog.byId[modelId] || null;
+    const contextWindow =
+      meta && Number(meta.contextWindow) > 0 ? Number(meta.contextWindow) : tokens.DEFAULT_CONTEXT_WINDOW;
+    const params = resolveModelParameters(modelId, config.get("modelParameters"), options.parameters);
+    const reserve =
+      Number(params.max_tokens) > 0 ? Number(params.max_tokens) : tokens.DEFAULT_OUTPUT_RESERVE;
+
+    const { parts, files, images } = splitPromptFiles(prompt);
+    const baseUser = files.length ? buildUserContent(parts, modeId) : buildUserContent(prompt, modeId);
+    const fixed =
+      tokens.estimateMessagesTokens([buildSystemPrompt(modeId), baseUser], providerId) +
+      images.length * tokens.IMAGE_TOKENS +
+      (files.length ? tokens.estimateTokens(getWrappers(modeId).fileHeader, providerId) : 0);
+    const fileTokens = files.map((f) => ({
+      path: f.path,
+      label: f.label,
+      tokens: tokens.estimateFileTokens(f, providerId),
+    }));
+    const filesTotal = fileTokens.reduce((sum, f) => sum + f.tokens, 0);
+    const used = fixed + tokens.estimateMessagesTokens(history, providerId) + filesTotal;
+    const usage = { used, contextWindow, reserve, files: fileTokens, droppedTurns: 0 };
+    if (used + reserve <= contextWindow) return { prompt, history, usage, trimmed: [] };
+
+    // what the user is asking about now outweighs what was said earlier
+    const budget = contextWindow - reserve - fixed;
+    const kept = tokens.fitHistory(history, budget - filesTotal, providerId);
+    usage.droppedTurns = kept.droppedTurns;
+    const fileBudget = budget - tokens.estimateMessagesTokens(kept.messages, providerId);
+    if (!files.length || filesTotal <= fileBudget)
+      return { prompt, history: kept.messages, usage, trimmed: [] };
+    const fitted = tokens.fitFiles(files, fileBudget, providerId);
+    return {
+      prompt: parts.concat([{ __files: true, files: fitted.files.concat(images) }]),
+      history: kept.messages,
+      usage,
+      trimmed: fitted.trimmed,
+    };
+  }
+
+  // Token budget for the live counter in the input area.
+  async function estimatePrompt(modelId, prompt, modeId, options = {}) {
+    const config = getConfig();
+    const history = conversations.getMessages(options.conversationId, getMaxHistoryTurns(config));
+    const catalog = await loadCatalog();
+    const { usage, trimmed } = fitPromptToContext(modelId, prompt, modeId, history, options, catalog);
+    return Object.assign({ trimmed }, usage);
+  }
+
+  // One model, with retries. `state.streamed` flips once output reaches the
+  // UI; from then on neither a retry nor a fallback may start over.
+  // extras carries { catalog, tools, toolChoice, responseSchema }. Tools only
+  // go to providers that support them; the others answer in plain text.
+  async function callModel(modelId, messages, options, onChunk, state, extras) {
+    const provider = resolveProvider(modelId, extras.catalog);
+    if (!provider) throw new Error("No provider available for model: " + modelId);
+
+    const config = getConfig();
+    const apiKey = getApiKey(provider.id);
+    if (!apiKey && !provider.keyOptional) {
+      const err = createMissingKeyError(provider.name);
+      err.providerId = provider.id;
+      throw err;
+    }
+
+    // a fallback model may not take images; it gets the text alone
+    if (messages.some((m) => m.images) && !supportsImages(modelId, extras.catalog)) {
+      console.warn(`Model ${modelId} does not accept images; sending the prompt without them`);
+      messages = messages.map((m) => (m.images ? Object.assign({}, m, { images: undefined }) : m));
+    }
+
+    // `vsx.modelParameters` for this model, then the conversation's overrides
+    const parameters = resolveModelParameters(
+      modelId,
+      config.get("modelParameters"),
+      options.parameters
+    );
+
+    const attemptChunk = onChunk
+      ? (chunk) => {
+          state.streamed = true;
+          onChunk(chunk);
+        }
+      : null;
+    let resp;
     try {
-      const vscode = require("vscode");
-      const key = vscode.workspace.getConfiguration("vsx").get("apiKey.nvidia");
-      return key || null;
-    } catch {
-      return null;
+      resp = await withRetry(
+        async (attempt) => {
+          if (attempt > 1) emitStatus(options, { state: "working", attempt });
+          const raw = await provider.call({
+            apiKey,
+            modelId,
+            messages,
+            onChunk: attemptChunk,
+            signal: options.signal,
+            parameters,
+            config,
+            tools: provider.supportsTools ? extras.tools : undefined,
+            toolChoice: provider.supportsTools ? extras.toolChoice : undefined,
+            responseSchema: extras.responseSchema,
+          });
+          // errors and safety blocks can come back with a 200 status
+          const embedded = findResponseError(raw, provider.name);
+          if (embedded) throw embedded;
+          return raw;
+        },
+        {
+          maxAttempts: config.get("retry.maxAttempts"),
+          baseDelayMs: config.get("retry.baseDelayMs"),
+          signal: options.signal,
+          shouldRetry: () => !state.streamed,
+          onRetry: ({ attempt, maxAttempts, delayMs, error }) =>
+            emitStatus(options, {
+              state: "retrying",
+              attempt,
+              maxAttempts,
+              delayMs,
+              reason: error.status ? `HTTP ${error.status}` : error.code || error.message,
+            }),
+        }
+      );
+    } catch (err) {
+      if (err && typeof err === "object") {
+        // network failures don't say which provider they came from
+        if (!err.provider) err.provider = provider.name;
+        err.providerId = provider.id;
+      }
+      throw err;
     }
+    return { resp, provider };
+  }
+
+  function supportsImages(modelId, catalog) {
+    const meta = catalog.byId[modelId];
+    return !!(meta && meta.vision);
   }
 
-  async function sendPromptNvidia(modelId, prompt, modeId) {
-    const apiKey = getNvidiaApiKey();
-    if (!apiKey) throw new Error("NVIDIA API key not configured");
-    // build wrapped prompt and log it
-    const prepared = buildWrappedPrompt(prompt, modeId);
-    console.log('Prepared prompt for NVIDIA:', prepared);
+  // Attaches the webview-facing description (kind, message, actions) to a
+  // failure so the assistant bubble can offer a way out.
+  function withErrorInfo(err, modelId) {
+    if (!err || typeof err !== "object" || err.name === "AbortError") return err;
+    err.info = Object.assign(describeError(err, err.provider), {
+      model: modelId,
+      providerId: err.providerId || null,
+    });
+    return err;
+  }
+
+  async function sendPrompt(modelId, prompt, modeId, options = {}) {
+    const config = getConfig();
+
+    // An edit or reload replaces its turn and everything after it.
+    const conversationId = options.conversationId || null;
+    if (conversationId && options.replaces)
+      conversations.truncateFrom(conversationId, options.replaces);
+    const history = conversations.getMessages(conversationId, getMaxHistoryTurns(config));
+    const declared = takePromptSchema(prompt);
+    const responseSchema = options.responseSchema || declared.schema || getModeSchema(modeId);
+    prompt = declared.prompt;
+    const catalog = await loadCatalog();
+    const fitted = fitPromptToContext(modelId, prompt, modeId, history, options, catalog);
+    if (fitted.trimmed.length || fitted.usage.droppedTurns) {
+      emitStatus(options, {
+        state: "files-trimmed",
+        files: fitted.trimmed,
+        droppedTurns: fitted.usage.droppedTurns,
+      });
+    }
+    const userContent = buildUserContent(fitted.prompt, modeId);
+    const systemPrompt = [
+      buildSystemPrompt(modeId),
+      responseSchema ? buildSchemaInstruction(responseSchema) : "",
+    ]
+      .filter(Boolean)
+      .join("\n\n");
+
+    // Images travel beside the text for the clients to encode. History keeps
+    // only the text, so they are not re-sent with later turns.
+    const userMessage = { role: "user", content: userContent };
+    const { images } = splitPromptFiles(fitted.prompt);
+    if (images.length)
+      userMessage.images = images.map((img) => ({ mimeType: img.mimeType, data: img.data, label: img.label }));
+
+    const messages = [];
+    if (systemPrompt) messages.push({ role: "system", content: systemPrompt });
+    messages.push(...fitted.history, userMessage);
 
-    const parts = Array.isArray(prepared) ? prepared : [prepared];
-    const resp = await nvidia.callNvidia(apiKey, modelId, parts);
+    const onChunk = createChunkHandler(options);
+    const tools = getModeTools(modeId, config);
+    const maxRounds = getMaxToolRounds(config);
+    let chain = getModelChain(modelId, config);
+    let result = null;
+    let answeredBy = modelId;
+    const roundUsage = [];
+    const toolCalls = [];
+    // Each round that ends in tool calls runs them and sends the results back;
+    // the last allowed round must answer in text. A response schema never
+    // travels with tools: Gemini refuses function calling alongside a JSON
+    // response type. Rounds that offer tools leave the schema to the system
+    // prompt and the repair loop below; the last round, which could not call
+    // a tool anyway, drops them and sends the schema instead.
+    for (let round = 0; ; round++) {
+      const extras = { catalog };
+      const lastRound = round >= maxRounds;
+      if (tools.length && !(lastRound && responseSchema)) {
+        extras.tools = tools;
+        extras.toolChoice = lastRound ? "none" : "auto";
+      }
+      if (!extras.tools) extras.responseSchema = responseSchema;
+      ({ result, answeredBy } = await callWithFallback(chain, messages, options, onChunk, extras));
+      roundUsage.push(parser.extractUsage(result.resp));
+      const calls =
+        extras.tools && result.provider.supportsTools ? parser.extractToolCalls(result.resp) : [];
+      if (!calls.length || lastRound) break;
+
+      // later rounds stay with the model that asked for the tools
+      chain = [answeredBy];
+      messages.push({
+        role: "assistant",
+        content: parser.parseResponse(result.resp).plain_text,
+        toolCalls: calls,
+      });
+      emitStatus(options, { state: "tool", tools: calls.map((c) => c.name), round: round + 1 });
+      for (const call of calls) {
+        const reply = await toolRegistry.runToolCall(call, tools, {
+          signal: options.signal,
+          modelId: answeredBy,
+          conversationId,
+          config,
+        });
+        messages.push(reply);
+        toolCalls.push({ name: call.name, arguments: call.arguments, isError: reply.isError });
+      }
+    }
+
+    let text = result.provider.extractText(result.resp);
+
+    // Structured output: answers that don't parse or don't match the schema
+    // go back to the model with the validation errors.
+    let structured = null;
+    if (responseSchema) {
+      structured = parser.parseStructured(text, responseSchema);
+      const maxRepairs = getMaxRepairs(config);
+      for (let attempt = 1; !structured.valid && attempt <= maxRepairs; attempt++) {
+        emitStatus(options, {
+          state: "repairing",
+          attempt,
+          maxAttempts: maxRepairs,
+          errors: structured.errors,
+        });
+        messages.push(
+          { role: "assistant", content: text },
+          { role: "user", content: buildRepairPrompt(structured.errors) }
+        );
+        ({ result, answeredBy } = await callWithFallback([answeredBy], messages, options, onChunk, {
+          catalog,
+          responseSchema,
+        }));
+        roundUsage.push(parser.extractUsage(result.resp));
+        text = result.provider.extractText(result.resp);
+        structured = parser.parseStructured(text, responseSchema);
+      }
+    }
+
+    let usage = null;
+    try {
+      usage = usageTracker.record({
+        conversationId,
+        modelId: answeredBy,
+        usage: sumUsage(roundUsage),
+      });
+    } catch (err) {
+      console.error("Failed to record usage:", err);
+    }
+    if (conversationId) {
+      conversations.appendTurn(conversationId, {
+        requestId: options.requestId,
+        user: userContent,
+        assistant: text,
+      });
+    }
+    return {
+      raw: result.resp,
+      text,
+      model: answeredBy,
+      requestedModel: modelId,
+      trimmedFiles: fitted.trimmed,
+      usage,
+      toolCalls,
+      structured,
+      reasoningMs: onChunk && onChunk.reasoningMs() ? onChunk.reasoningMs() : null,
+    };
+  }
 
-    function extractTextFromNvidia(r) {
+  // The requested model, then its fallbacks until one answers. `state.streamed`
+  // is per call: once output of this call reached the UI, falling back would
+  // show a second answer after the first.
+  async function callWithFallback(chain, messages, options, onChunk, extras) {
+    const state = { streamed: false };
+    for (let i = 0; ; i++) {
       try {
-        if (!r) return "";
-        if (Array.isArray(r.choices)) {
-          const texts = [];
-          for (const c of r.choices) {
-            if (c && c.message) {
-              if (typeof c.message === "string") texts.push(c.message);
-              else if (typeof c.message.content === "string")
-                texts.push(c.message.content);
-              else if (Array.isArray(c.message.content))
-                texts.push(c.message.content.join("\n"));
-            } else if (typeof c.text === "string") {
-              texts.push(c.text);
-            }
-          }
-          if (texts.length) return texts.join("\n").trim();
-        }
+        const result = await callModel(chain[i], messages, options, onChunk, state, extras);
+        if (onChunk) onChunk.flush();
+        return { result, answeredBy: chain[i] };
+      } catch (err) {
+        const next = chain[i + 1];
+        const canFallBack =
+          next &&
+          !state.streamed &&
+          !(err && err.name === "AbortError") &&
+          FALLBACK_KINDS.has(describeError(err).kind);
+        if (!canFallBack) throw withErrorInfo(err, chain[i]);
+        console.warn(`Model ${chain[i]} failed, falling back to ${next}:`, err.message);
+        emitStatus(options, { state: "fallback", from: chain[i], to: next, reason: err.message });
+      }
+    }
+  }
 
-        if (r.output && typeof r.output === "string") return r.output.trim();
-        if (r.message && typeof r.message === "string") return r.message.trim();
+  // Tools the mode declares, when `vsx.tools.enabled` allows tools at all.
+  function getModeTools(modeId, config) {
+    if (!config.get("tools.enabled")) return [];
+    const mode = modeId ? modes.getModeById(modeId) : null;
+    return mode ? toolRegistry.resolveTools(mode.tools) : [];
+  }
 
-        return JSON.stringify(r);
-      } catch {
-        return JSON.stringify(r);
+  // A ```json-schema fenced block in the prompt text asks for structured
+  // output; the block is taken out of the prompt. Returns { prompt, schema }.
+  function takePromptSchema(prompt) {
+    const pattern = /```json-schema[^\S\n]*\n([\s\S]*?)\n?```/i;
+    let schema = null;
+    const take = (text) => {
+      if (typeof text !== "string" || schema) return text;
+      const m = pattern.exec(text);
+      if (!m) return text;
+      try {
+        schema = JSON.parse(m[1]);
+      } catch (err) {
+        console.warn("Ignoring json-schema block that is not valid JSON:", err.message);
+        return text;
       }
+      return (text.slice(0, m.index) + text.slice(m.index + m[0].length)).trim();
+    };
+    const next = Array.isArray(prompt) ? prompt.map(take) : take(prompt);
+    return { prompt: next, schema };
+  }
+
+  // A mode's `responseSchema` export, else the ASK_MODE_VALIDATOR comment in
+  // its source.
+  function getModeSchema(modeId) {
+    if (!modeId) return null;
+    const mode = modes.getModeById(modeId);
+    if (mode && mode.responseSchema && typeof mode.responseSchema === "object")
+      return mode.responseSchema;
+    return parser.tryExtractValidatorFromMode(modeId);
+  }
+
+  // Providers without a native JSON mode (Anthropic) rely on this alone; for
+  // the others it spells out what the schema in the request means.
+  function buildSchemaInstruction(schema) {
+    return (
+      "Respond with a single JSON value that conforms to the following JSON Schema. " +
+      "Output only the JSON, without code fences or commentary.\n\n" +
+      JSON.stringify(schema, null, 2)
+    );
+  }
+
+  function buildRepairPrompt(errors) {
+    return (
+      "Your previous response did not match the required JSON Schema:\n" +
+      errors.map((e) => `- ${e}`).join("\n") +
+      "\n\nReply again with only the corrected JSON."
+    );
+  }
+
+  function getMaxRepairs(config) {
+    const n = Number(config.get("structuredOutput.maxRepairs"));
+    return Number.isFinite(n) && n >= 0 ? n : 2;
+  }
+
+  function getMaxToolRounds(config) {
+    const n = Number(config.get("tools.maxRounds"));
+    return Number.isFinite(n) && n >= 0 ? n : 5;
+  }
+
+  // Token counts of a multi-round (tool calling) request added up; null when
+  // no round reported any.
+  function sumUsage(list) {
+    const reported = list.filter(Boolean);
+    if (!reported.length) return null;
+    const total = { promptTokens: 0, completionTokens: 0, reasoningTokens: 0, totalTokens: 0 };
+    for (const u of reported) {
+      for (const key of Object.keys(total)) total[key] += u[key] || 0;
     }
+    return total;
+  }
+
+  function getMaxHistoryTurns(config) {
+    const n = Number(config.get("conversation.maxTurns"));
+    return Number.isFinite(n) && n >= 0 ? n : undefined;
+  }
 
-    const text = extractTextFromNvidia(resp);
-    return { raw: resp, text };
+  // Providers as shown in the API key setup picker.
+  function listProviders() {
+    return providers.listProviders().map((p) => ({
+      id: p.id,
+      name: p.name,
+      keySetting: p.keySetting || null,
+      keyOptional: !!p.keyOptional,
+    }));
   }
 
   return {
     getModels,
     sendPrompt,
-    sendPromptNvidia,
+    estimatePrompt,
+    listProviders,
+    getApiKey,
+    clearConversation: conversations.clear,
+    getUsageSummary: () => formatUsageSummary(usageTracker.getSummary()),
 
     listModes: modes.listModes,
     getModeById: modes.getModeById,
@@ -0,0 +1,162 @@
+// The JSON Schema subset structured output is checked against: type (with
+// "integer" and type lists), enum, const, properties, required,
+// additionalProperties, items, min/maxItems, min/maxLength, pattern,
+// minimum/maximum (and the exclusive forms), anyOf, oneOf, allOf and
+// OpenAPI's nullable. Anything else in a schema is ignored rather than
+// rejected, so schemas written for the providers work unchanged.
+// toGeminiSchema trims a schema down to the keywords Gemini's API accepts
+// and folds type lists into its single-type-plus-nullable form.
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === "number") return actual === "number" || actual === "integer";
+  return actual === type;
+}
+
+function describe(value) {
+  const text = JSON.stringify(value);
+  return text && text.length > 40 ? `${text.slice(0, 40)}…` : text;
+}
+
+function childPath(path, key) {
+  if (typeof key === "number") return `${path}[${key}]`;
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+function check(value, schema, path, errors) {
+  if (!schema || typeof schema !== "object") return;
+  if (value === null && schema.nullable) return;
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => matchesType(value, String(t).toLowerCase()))) {
+      errors.push(`${path}: expected ${types.join(" or ")}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  if (Array.isArray(schema.enum) && !schema.enum.some((e) => same(e, value)))
+    errors.push(`${path}: must be one of ${schema.enum.map(describe).join(", ")}`);
+  if (schema.const !== undefined && !same(schema.const, value))
+    errors.push(`${path}: must be ${describe(schema.const)}`);
+
+  if (typeof value === "string") {
+    if (Number.isFinite(schema.minLength) && value.length < schema.minLength)
+      errors.push(`${path}: shorter than ${schema.minLength} characters`);
+    if (Number.isFinite(schema.maxLength) && value.length > schema.maxLength)
+      errors.push(`${path}: longer than ${schema.maxLength} characters`);
+    if (schema.pattern) {
+      try {
+        if (!new RegExp(schema.pattern, "u").test(value))
+          errors.push(`${path}: does not match /${schema.pattern}/`);
+      } catch {
+      }
+    }
+  }
+
+  if (typeof value === "number") {
+    if (Number.isFinite(schema.minimum) && value < schema.minimum)
+      errors.push(`${path}: less than ${schema.minimum}`);
+    if (Number.isFinite(schema.maximum) && value > schema.maximum)
+      errors.push(`${path}: greater than ${schema.maximum}`);
+    if (Number.isFinite(schema.exclusiveMinimum) && value <= schema.exclusiveMinimum)
+      errors.push(`${path}: must be greater than ${schema.exclusiveMinimum}`);
+    if (Number.isFinite(schema.exclusiveMaximum) && value >= schema.exclusiveMaximum)
+      errors.push(`${path}: must be less than ${schema.exclusiveMaximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (Number.isFinite(schema.minItems) && value.length < schema.minItems)
+      errors.push(`${path}: needs at least ${schema.minItems} items`);
+    if (Number.isFinite(schema.maxItems) && value.length > schema.maxItems)
+      errors.push(`${path}: allows at most ${schema.maxItems} items`);
+    if (schema.items && typeof schema.items === "object" && !Array.isArray(schema.items))
+      value.forEach((item, i) => check(item, schema.items, childPath(path, i), errors));
+  }
+
+  if (typeOf(value) === "object") {
+    const properties = schema.properties || {};
+    for (const key of Array.isArray(schema.required) ? schema.required : []) {
+      if (!Object.prototype.hasOwnProperty.call(value, key))
+        errors.push(`${path}: missing required property "${key}"`);
+    }
+    for (const key of Object.keys(value)) {
+      if (Object.prototype.hasOwnProperty.call(properties, key))
+        check(value[key], properties[key], childPath(path, key), errors);
+      else if (schema.additionalProperties === false)
+        errors.push(`${path}: unexpected property "${key}"`);
+      else if (schema.additionalProperties && typeof schema.additionalProperties === "object")
+        check(value[key], schema.additionalProperties, childPath(path, key), errors);
+    }
+  }
+
+  if (Array.isArray(schema.allOf)) {
+    for (const sub of schema.allOf) check(value, sub, path, errors);
+  }
+  if (Array.isArray(schema.anyOf) && !schema.anyOf.some((sub) => !validate(value, sub, path).length))
+    errors.push(`${path}: does not match any of the allowed shapes`);
+  if (Array.isArray(schema.oneOf)) {
+    const matches = schema.oneOf.filter((sub) => !validate(value, sub, path).length).length;
+    if (matches !== 1)
+      errors.push(`${path}: must match exactly one of the allowed shapes (matches ${matches})`);
+  }
+}
+
+// Schema keywords Gemini accepts in function declarations and responseSchema;
+// anything else (additionalProperties, $schema, ...) is rejected with a 400.
+const GEMINI_SCHEMA_KEYS = new Set([
+  "type",
+  "format",
+  "description",
+  "nullable",
+  "enum",
+  "properties",
+  "required",
+  "items",
+  "minItems",
+  "maxItems",
+  "minimum",
+  "maximum",
+]);
+
+function toGeminiSchema(schema) {
+  if (!schema || typeof schema !== "object") return schema;
+  const out = {};
+  for (const key of Object.keys(schema)) {
+    if (!GEMINI_SCHEMA_KEYS.has(key)) continue;
+    if (key === "properties") {
+      out.properties = {};
+      for (const [prop, value] of Object.entries(schema.properties || {}))
+        out.properties[prop] = toGeminiSchema(value);
+    } else if (key === "items") {
+      out.items = toGeminiSchema(schema.items);
+    } else if (key === "type" && Array.isArray(schema.type)) {
+      // Gemini takes one type per schema: ["string", "null"] becomes a
+      // nullable string; of several non-null types the first is kept
+      const types = schema.type.map((t) => String(t).toLowerCase());
+      const [first] = types.filter((t) => t !== "null");
+      if (first) out.type = first;
+      if (types.includes("null")) out.nullable = true;
+    } else {
+      out[key] = schema[key];
+    }
+  }
+  return out;
+}
+
+// Returns the validation errors as readable strings ("$.items[2].name:
+// expected string, got number"); an empty list means the value is valid.
+function validate(value, schema, path = "$") {
+  const errors = [];
+  check(value, schema, path, errors);
+  return errors;
+}
+
+module.exports = { validate, toGeminiSchema };
@@ -0,0 +1,128 @@
+// Token estimates for context budgeting. No tokenizer ships with the
+// extension, so counts come from a characters-per-token ratio per provider
+// family. They are deliberately a little pessimistic: good enough to keep a
+// prompt inside the context window, not to bill by.
+
+const CHARS_PER_TOKEN = {
+  gemini: 4,
+  nvidia: 3.5,
+  anthropic: 3.3,
+  "openai-compatible": 3.5,
+};
+const DEFAULT_CHARS_PER_TOKEN = 3.5;
+
+// role markers and separators each message costs on top of its text
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// used when a model's metadata has no contextWindow
+const DEFAULT_CONTEXT_WINDOW = 32768;
+// room left for the answer when no max_tokens parameter is set
+const DEFAULT_OUTPUT_RESERVE = 4096;
+// a file is only cut down when at least this much of it can stay
+const MIN_PARTIAL_TOKENS = 256;
+// flat cost of an attached image: Gemini bills 258 tokens per tile and
+// high-detail OpenAI images run to a few hundred, so this errs high
+const IMAGE_TOKENS = 1024;
+
+// CJK scripts and similar run close to one token per character
+const WIDE_CHARS = /[\u2e80-\u9fff\uac00-\ud7af\uf900-\ufaff]/g;
+
+function charsPerToken(providerId) {
+  return CHARS_PER_TOKEN[providerId] || DEFAULT_CHARS_PER_TOKEN;
+}
+
+function estimateTokens(text, providerId) {
+  if (!text) return 0;
+  const s = String(text);
+  const wide = (s.match(WIDE_CHARS) || []).length;
+  return Math.ceil((s.length - wide) / charsPerToken(providerId) + wide);
+}
+
+function estimateMessagesTokens(messages, providerId) {
+  let total = 0;
+  for (const m of messages || []) {
+    const content = typeof m === "string" ? m : m && m.content;
+    total += estimateTokens(content, providerId) + MESSAGE_OVERHEAD_TOKENS;
+    if (m && Array.isArray(m.images)) total += m.images.length * IMAGE_TOKENS;
+  }
+  return total;
+}
+
+// Tokens a file adds once serialized into the user turn.
+function estimateFileTokens(file, providerId) {
+  return estimateTokens(JSON.stringify(file), providerId);
+}
+
+// Cuts content at the last line break that keeps it under maxChars.
+function truncateContent(content, maxChars) {
+  const cut = content.slice(0, Math.max(0, maxChars));
+  const lastBreak = cut.lastIndexOf("\n");
+  const kept = lastBreak > 0 ? cut.slice(0, lastBreak) : cut;
+  const keptLines = kept ? kept.split("\n").length : 0;
+  const totalLines = content.split("\n").length;
+  return `${kept}\n… [truncated to fit the context window: ${keptLines} of ${totalLines} lines kept]`;
+}
+
+// Fits attached files into `budget` tokens, in the order they were attached.
+// A file that does not fit whole is cut at a line boundary when at least
+// MIN_PARTIAL_TOKENS of it still fit, otherwise it is replaced by a note so
+// the model knows it was attached. Returns { files, trimmed } where trimmed
+// lists { path, label, status: "truncated" | "omitted", tokens, keptTokens }.
+function fitFiles(files, budget, providerId) {
+  const fitted = [];
+  const trimmed = [];
+  let remaining = Math.max(0, budget);
+  for (const file of files || []) {
+    if (!file) continue;
+    const tokens = estimateFileTokens(file, providerId);
+    if (tokens <= remaining) {
+      fitted.push(file);
+      remaining -= tokens;
+      continue;
+    }
+    const entry = { path: file.path, label: file.label, tokens };
+    const overhead = estimateFileTokens(Object.assign({}, file, { content: "" }), providerId) + 32;
+    const room = remaining - overhead;
+    if (room >= MIN_PARTIAL_TOKENS && typeof file.content === "string") {
+      // JSON escapes (newlines, quotes) make the serialized content longer
+      const escaping = JSON.stringify(file.content).length / Math.max(1, file.content.length);
+      const maxChars = Math.floor((room * charsPerToken(providerId)) / escaping);
+      const content = truncateContent(file.content, maxChars);
+      const cut = Object.assign({}, file, { content, truncated: true });
+      const keptTokens = estimateFileTokens(cut, providerId);
+      fitted.push(cut);
+      remaining -= keptTokens;
+      trimmed.push(Object.assign(entry, { status: "truncated", keptTokens }));
+    } else {
+      const note = { path: file.path, label: file.label, content: "", omitted: "does not fit the context window" };
+      fitted.push(note);
+      remaining -= Math.min(remaining, estimateFileTokens(note, providerId));
+      trimmed.push(Object.assign(entry, { status: "omitted", keptTokens: 0 }));
+    }
+  }
+  return { files: fitted, trimmed };
+}
+
+// Drops the oldest turns of `history` (user/assistant message pairs, oldest
+// first) until what is left fits in `budget` tokens. Returns { messages,
+// droppedTurns }; with no room at all the history goes entirely.
+function fitHistory(history, budget, providerId) {
+  let messages = Array.isArray(history) ? history : [];
+  let droppedTurns = 0;
+  while (messages.length && estimateMessagesTokens(messages, providerId) > budget) {
+    messages = messages.slice(messages[0] && messages[0].role === "user" && messages.length > 1 ? 2 : 1);
+    droppedTurns++;
+  }
+  return { messages, droppedTurns };
+}
+
+module.exports = {
+  DEFAULT_CONTEXT_WINDOW,
+  DEFAULT_OUTPUT_RESERVE,
+  IMAGE_TOKENS,
+  estimateTokens,
+  estimateMessagesTokens,
+  estimateFileTokens,
+  fitFiles,
+  fitHistory,
+};
@@ -0,0 +1,126 @@
+// Provider-neutral tool calling. A tool is
+//   { name, description, parameters, handler }
+// where parameters is a JSON Schema object describing the arguments and
+// handler is async (args, context) => result. Modes list the tools they
+// expose (see modes/ask.js); the router translates them for the provider,
+// runs the calls the model makes and sends the results back.
+//
+// Inside the router's message list a tool round looks like
+//   { role: "assistant", content, toolCalls: [{ id, name, arguments }] }
+//   { role: "tool", toolCallId, name, content, isError }
+// and each client maps those onto its own wire format.
+
+const { toGeminiSchema } = require("./schema");
+
+const TOOL_NAME = /^[A-Za-z_][A-Za-z0-9_-]{0,63}$/;
+// Tool output beyond this is cut before it goes back to the model.
+const MAX_RESULT_CHARS = 20000;
+
+const registry = new Map();
+
+function registerTool(tool) {
+  if (!tool || !TOOL_NAME.test(tool.name || ""))
+    throw new Error(`Invalid tool name: ${tool && tool.name}`);
+  if (typeof tool.handler !== "function") throw new Error(`Tool ${tool.name} has no handler()`);
+  registry.set(tool.name, tool);
+  return tool;
+}
+
+function getTool(name) {
+  return registry.get(name) || null;
+}
+
+// A mode's `tools` entries are registered tool names or inline definitions.
+function resolveTools(list) {
+  const tools = [];
+  for (const entry of Array.isArray(list) ? list : []) {
+    const tool = typeof entry === "string" ? getTool(entry) : entry;
+    if (!tool || typeof tool.handler !== "function") {
+      console.warn("Ignoring unknown tool:", typeof entry === "string" ? entry : entry && entry.name);
+      continue;
+    }
+    if (!tools.some((t) => t.name === tool.name)) tools.push(tool);
+  }
+  return tools;
+}
+
+function parametersOf(tool) {
+  return tool.parameters || { type: "object", properties: {} };
+}
+
+// Chat-completions `tools` (NVIDIA, OpenAI-compatible servers)
+function toOpenAITools(tools) {
+  return (tools || []).map((tool) => ({
+    type: "function",
+    function: {
+      name: tool.name,
+      description: tool.description || "",
+      parameters: parametersOf(tool),
+    },
+  }));
+}
+
+// Gemini `tools`: one entry holding every functionDeclaration
+function toGeminiTools(tools) {
+  if (!tools || !tools.length) return [];
+  return [
+    {
+      functionDeclarations: tools.map((tool) => {
+        const declaration = { name: tool.name, description: tool.description || "" };
+        const parameters = parametersOf(tool);
+        // Gemini rejects an object schema without properties
+        if (parameters.properties && Object.keys(parameters.properties).length)
+          declaration.parameters = toGeminiSchema(parameters);
+        return declaration;
+      }),
+    },
+  ];
+}
+
+function formatToolResult(result) {
+  let text;
+  if (result === undefined || result === null) text = "";
+  else if (typeof result === "string") text = result;
+  else {
+    try {
+      text = JSON.stringify(result);
+    } catch {
+      text = String(result);
+    }
+  }
+  if (text.length > MAX_RESULT_CHARS)
+    text = `${text.slice(0, MAX_RESULT_CHARS)}\n… [truncated, ${text.length - MAX_RESULT_CHARS} more characters]`;
+  return text;
+}
+
+// Runs one call from the model. Failures, unknown tools included, become an
+// error result the model can read and recover from rather than ending the
+// request; only cancellation propagates.
+async function runToolCall(call, tools, context) {
+  const message = { role: "tool", toolCallId: call.id, name: call.name, content: "", isError: false };
+  const tool = (tools || []).find((t) => t.name === call.name);
+  if (!tool) {
+    message.content = `Unknown tool: ${call.name}`;
+    message.isError = true;
+    return message;
+  }
+  try {
+    message.content = formatToolResult(await tool.handler(call.arguments || {}, context || {}));
+  } catch (err) {
+    if (err && err.name === "AbortError") throw err;
+    message.content = `Error: ${err && err.message ? err.message : String(err)}`;
+    message.isError = true;
+  }
+  return message;
+}
+
+for (const tool of require("./workspacetools").tools) registerTool(tool);
+
+module.exports = {
+  registerTool,
+  getTool,
+  resolveTools,
+  toOpenAITools,
+  toGeminiTools,
+  runToolCall,
+};
@@ -0,0 +1,228 @@
+const http = require("http");
+const https = require("https");
+const tls = require("tls");
+const fs = require("fs");
+const path = require("path");
+const fixtures = require("./fixtures");
+
+// Every provider request goes through request() below, a drop-in for
+// https.request/http.request that adds the network settings corporate setups
+// need:
+//   - a proxy from VS Code's `http.proxy`, else HTTPS_PROXY / HTTP_PROXY,
+//     skipped for hosts in NO_PROXY or `http.noProxy`. HTTPS targets are
+//     tunnelled with CONNECT; plain HTTP ones are sent to the proxy as
+//     absolute URLs.
+//   - `http.proxyStrictSSL: false` turns off certificate verification, for
+//     proxies that re-sign traffic with a certificate nobody can check.
+//   - `vsx.network.caCertificates`, PEM files trusted on top of Node's
+//     bundled roots, for proxies that re-sign with an in-house CA.
+// It can also record exchanges to fixture files or replay them offline, see
+// ./fixtures and `vsx.transport.mode`.
+
+function getSection(section) {
+  try {
+    return require("vscode").workspace.getConfiguration(section);
+  } catch {
+    return null;
+  }
+}
+
+function readSettings() {
+  const httpConfig = getSection("http");
+  const vsxConfig = getSection("vsx");
+  const get = (config, key) => (config ? config.get(key) : undefined);
+  return {
+    proxy: get(httpConfig, "proxy") || "",
+    proxyAuthorization: get(httpConfig, "proxyAuthorization") || null,
+    strictSSL: get(httpConfig, "proxyStrictSSL") !== false,
+    noProxy: get(httpConfig, "noProxy") || [],
+    caFiles: get(vsxConfig, "network.caCertificates") || [],
+    // VSX_TRANSPORT_MODE / VSX_FIXTURES_DIR serve scripts run outside VS Code
+    mode: process.env.VSX_TRANSPORT_MODE || get(vsxConfig, "transport.mode") || "live",
+    fixturesDir: process.env.VSX_FIXTURES_DIR || get(vsxConfig, "transport.fixturesDir") || "",
+  };
+}
+
+// Relative fixture directories resolve against the first workspace folder
+// (the current directory outside VS Code); the default is .vsx-fixtures.
+function resolveFixturesDir(dir) {
+  let root = process.cwd();
+  try {
+    const folders = require("vscode").workspace.workspaceFolders;
+    if (folders && folders.length) root = folders[0].uri.fsPath;
+  } catch {
+  }
+  return path.resolve(root, dir || ".vsx-fixtures");
+}
+
+function proxyFromEnv(protocol) {
+  const env = process.env;
+  if (protocol === "http:") return env.HTTP_PROXY || env.http_proxy || "";
+  return env.HTTPS_PROXY || env.https_proxy || env.HTTP_PROXY || env.http_proxy || "";
+}
+
+// NO_PROXY entries are host names (matching subdomains too, with or without a
+// leading dot), optionally with a port, or "*" for everything.
+function bypassesProxy(hostname, port, extra) {
+  const env = process.env.NO_PROXY || process.env.no_proxy || "";
+  const entries = env
+    .split(",")
+    .concat(Array.isArray(extra) ? extra : [])
+    .map((e) => String(e).trim().toLowerCase())
+    .filter(Boolean);
+  const host = String(hostname || "").toLowerCase();
+  return entries.some((entry) => {
+    if (entry === "*") return true;
+    let [name, entryPort] = entry.split(":");
+    if (entryPort && String(port) !== entryPort) return false;
+    name = name.replace(/^\*?\./, "");
+    return host === name || host.endsWith("." + name);
+  });
+}
+
+function parseProxy(value) {
+  try {
+    const url = new URL(value.includes("://") ? value : `http://${value}`);
+    return {
+      protocol: url.protocol,
+      hostname: url.hostname,
+      port: Number(url.port) || (url.protocol === "https:" ? 443 : 80),
+      auth: url.username
+        ? `Basic ${Buffer.from(
+            `${decodeURIComponent(url.username)}:${decodeURIComponent(url.password)}`
+          ).toString("base64")}`
+        : null,
+    };
+  } catch {
+    console.warn("Ignoring malformed proxy URL:", value);
+    return null;
+  }
+}
+
+// Extra CAs are read once per list of files; Node's own roots stay trusted.
+let caCache = { key: null, ca: null };
+function loadCa(files) {
+  const list = (Array.isArray(files) ? files : [files]).filter(Boolean).map(String);
+  if (!list.length) return null;
+  const key = list.join("\n");
+  if (caCache.key === key) return caCache.ca;
+  const extra = [];
+  for (const file of list) {
+    try {
+      extra.push(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+      console.error("Failed to read CA certificate", file, err.message);
+    }
+  }
+  caCache = { key, ca: extra.length ? tls.rootCertificates.concat(extra) : null };
+  return caCache.ca;
+}
+
+// An https.Agent whose sockets are TLS sessions opened through a CONNECT
+// tunnel. Node's Agent accepts an asynchronous createConnection.
+class TunnelAgent extends https.Agent {
+  constructor(proxy, proxyAuthorization, options) {
+    super(options);
+    this.proxy = proxy;
+    this.proxyAuthorization = proxyAuthorization;
+  }
+
+  createConnection(options, callback) {
+    const proxy = this.proxy;
+    const target = `${options.host}:${options.port}`;
+    const headers = { Host: target };
+    if (this.proxyAuthorization) headers["Proxy-Authorization"] = this.proxyAuthorization;
+    const connectOptions = {
+      hostname: proxy.hostname,
+      port: proxy.port,
+      method: "CONNECT",
+      path: target,
+      headers,
+      agent: false,
+    };
+    if (proxy.protocol === "https:") {
+      if (options.ca) connectOptions.ca = options.ca;
+      if (options.rejectUnauthorized === false) connectOptions.rejectUnauthorized = false;
+    }
+    const connectReq = (proxy.protocol === "https:" ? https : http).request(connectOptions);
+    connectReq.once("connect", (res, socket) => {
+      if (res.statusCode !== 200) {
+        socket.destroy();
+        const err = new Error(`Proxy refused tunnel to ${target}: HTTP ${res.statusCode}`);
+        err.code = "EPROXY";
+        err.proxyStatus = res.statusCode;
+        return callback(err);
+      }
+      callback(null, tls.connect(Object.assign({}, options, { socket })));
+    });
+    connectReq.once("error", (err) => callback(err));
+    connectReq.end();
+  }
+}
+
+const tunnelAgents = new Map();
+function getTunnelAgent(proxy, proxyAuthorization) {
+  const key = `${proxy.protocol}//${proxy.hostname}:${proxy.port}|${proxyAuthorization || ""}`;
+  if (!tunnelAgents.has(key)) tunnelAgents.set(key, new TunnelAgent(proxy, proxyAuthorization));
+  return tunnelAgents.get(key);
+}
+
+// Same contract as https.request(options, callback); options.protocol
+// "http:" selects plain HTTP (local OpenAI-compatible servers).
+function request(options, callback) {
+  const settings = readSettings();
+  if (settings.mode === "replay") {
+    return fixtures.replayRequest(resolveFixturesDir(settings.fixturesDir), options, callback);
+  }
+  if (settings.mode === "record") {
+    return fixtures.recordRequest(
+      resolveFixturesDir(settings.fixturesDir),
+      options,
+      (cb) => liveRequest(options, cb, settings),
+      callback
+    );
+  }
+  return liveRequest(options, callback, settings);
+}
+
+function liveRequest(options, callback, settings) {
+  const protocol = options.protocol || "https:";
+  const port = Number(options.port) || (protocol === "http:" ? 80 : 443);
+
+  const tlsOptions = {};
+  const ca = loadCa(settings.caFiles);
+  if (ca) tlsOptions.ca = ca;
+  if (!settings.strictSSL) tlsOptions.rejectUnauthorized = false;
+
+  const proxyUrl = settings.proxy || proxyFromEnv(protocol);
+  const proxy =
+    proxyUrl && !bypassesProxy(options.hostname, port, settings.noProxy)
+      ? parseProxy(proxyUrl)
+      : null;
+
+  if (!proxy) {
+    if (protocol === "http:") return http.request(options, callback);
+    return https.request(Object.assign({}, options, tlsOptions), callback);
+  }
+
+  const proxyAuthorization = settings.proxyAuthorization || proxy.auth;
+  if (protocol === "http:") {
+    const headers = Object.assign({}, options.headers, { Host: `${options.hostname}:${port}` });
+    if (proxyAuthorization) headers["Proxy-Authorization"] = proxyAuthorization;
+    const proxied = {
+      hostname: proxy.hostname,
+      port: proxy.port,
+      method: options.method,
+      path: `http://${options.hostname}:${port}${options.path || "/"}`,
+      headers,
+    };
+    if (proxy.protocol === "https:") return https.request(Object.assign(proxied, tlsOptions), callback);
+    return http.request(proxied, callback);
+  }
+  return https.request(
+    Object.assign({}, options, tlsOptions, { agent: getTunnelAgent(proxy, proxyAuthorization) }),
+    callback
+  );
+}
+
+module.exports = { request, bypassesProxy };
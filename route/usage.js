@@ -0,0 +1,178 @@
+// Running token and spend totals, per conversation and per calendar day,
+// kept in extension global state so they survive restarts. Costs come from
+// the optional `vsx.pricing` table and are estimates: providers bill on their
+// own counts and rates.
+
+const STATE_KEY = "vsx.usage";
+const MAX_DAYS = 90;
+const MAX_CONVERSATIONS = 50;
+
+function emptyTotals() {
+  return {
+    requests: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    reasoningTokens: 0,
+    cost: 0,
+    // requests whose model had no price, so `cost` undercounts
+    unpriced: 0,
+  };
+}
+
+function addUsage(totals, usage, cost) {
+  const t = Object.assign(emptyTotals(), totals);
+  t.requests += 1;
+  t.promptTokens += usage.promptTokens || 0;
+  t.completionTokens += usage.completionTokens || 0;
+  t.reasoningTokens += usage.reasoningTokens || 0;
+  if (cost === null) t.unpriced += 1;
+  else t.cost += cost;
+  return t;
+}
+
+// Price entry for modelId from `vsx.pricing`: an exact id wins, then the
+// longest matching prefix.
+function findPrice(modelId, pricing) {
+  if (!pricing || typeof pricing !== "object" || !modelId) return null;
+  if (pricing[modelId]) return pricing[modelId];
+  const prefix = Object.keys(pricing)
+    .filter((k) => k && modelId.startsWith(k))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? pricing[prefix] : null;
+}
+
+// Prices are USD per million tokens. Reasoning tokens bill as output.
+function estimateCost(usage, price) {
+  if (!usage || !price) return null;
+  const input = Number(price.input);
+  const output = Number(price.output);
+  if (!Number.isFinite(input) && !Number.isFinite(output)) return null;
+  const outputTokens = (usage.completionTokens || 0) + (usage.reasoningTokens || 0);
+  return (
+    ((Number.isFinite(input) ? input : 0) * (usage.promptTokens || 0) +
+      (Number.isFinite(output) ? output : 0) * outputTokens) /
+    1e6
+  );
+}
+
+function dayKey(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Drops the oldest days and least recently used conversations.
+function prune(data) {
+  const days = Object.keys(data.days).sort();
+  for (const day of days.slice(0, Math.max(0, days.length - MAX_DAYS))) delete data.days[day];
+  const convs = Object.keys(data.conversations).sort(
+    (a, b) => data.conversations[a].updatedAt - data.conversations[b].updatedAt
+  );
+  for (const id of convs.slice(0, Math.max(0, convs.length - MAX_CONVERSATIONS)))
+    delete data.conversations[id];
+}
+
+function createUsageTracker({ context, getConfig }) {
+  const state = context && context.globalState ? context.globalState : null;
+  let memory = null;
+
+  function load() {
+    const stored = state ? state.get(STATE_KEY) : memory;
+    return {
+      days: Object.assign({}, stored && stored.days),
+      conversations: Object.assign({}, stored && stored.conversations),
+    };
+  }
+
+  function save(data) {
+    if (!state) {
+      memory = data;
+      return;
+    }
+    Promise.resolve(state.update(STATE_KEY, data)).catch((err) =>
+      console.error("Failed to save usage totals:", err)
+    );
+  }
+
+  // Adds one response's usage to the totals. Returns the usage with its
+  // estimated cost (null when the model has no price) and the updated
+  // conversation and day totals, or null when the provider reported none.
+  function record({ conversationId, modelId, usage }) {
+    if (!usage) return null;
+    const cost = estimateCost(usage, findPrice(modelId, getConfig().get("pricing")));
+    const data = load();
+
+    const today = dayKey(new Date());
+    const day = data.days[today] || { total: emptyTotals(), models: {} };
+    day.total = addUsage(day.total, usage, cost);
+    day.models = Object.assign({}, day.models, {
+      [modelId]: addUsage(day.models[modelId], usage, cost),
+    });
+    data.days[today] = day;
+
+    let conversation = null;
+    if (conversationId) {
+      const entry = data.conversations[conversationId] || {};
+      conversation = addUsage(entry.total, usage, cost);
+      data.conversations[conversationId] = { total: conversation, updatedAt: Date.now() };
+    }
+
+    prune(data);
+    save(data);
+    return {
+      usage: Object.assign({}, usage, { cost }),
+      conversation,
+      today: day.total,
+    };
+  }
+
+  function getSummary() {
+    return load();
+  }
+
+  return { record, getSummary };
+}
+
+function formatCost(totals) {
+  if (!totals.cost && totals.unpriced) return "n/a";
+  const cost = `$${totals.cost.toFixed(4)}`;
+  return totals.unpriced ? `${cost} + ${totals.unpriced} unpriced` : cost;
+}
+
+function formatRow(label, t) {
+  return `| ${label} | ${t.requests} | ${t.promptTokens} | ${t.completionTokens} | ${t.reasoningTokens} | ${formatCost(t)} |`;
+}
+
+// Markdown report of the stored totals: today by model, then recent days.
+function formatUsageSummary(data) {
+  const header = [
+    "| | Requests | Prompt | Completion | Reasoning | Est. cost |",
+    "|---|---:|---:|---:|---:|---:|",
+  ];
+  const lines = ["# Usage summary", ""];
+  const today = data.days[dayKey(new Date())];
+  lines.push("## Today", "");
+  if (today) {
+    lines.push(...header);
+    for (const modelId of Object.keys(today.models).sort())
+      lines.push(formatRow(modelId, today.models[modelId]));
+    lines.push(formatRow("**Total**", today.total));
+  } else {
+    lines.push("No requests yet today.");
+  }
+
+  const days = Object.keys(data.days).sort().reverse();
+  lines.push("", `## Last ${Math.min(days.length, 30)} days`, "");
+  if (days.length) {
+    lines.push(...header);
+    for (const day of days.slice(0, 30)) lines.push(formatRow(day, data.days[day].total));
+  } else {
+    lines.push("No usage recorded.");
+  }
+  lines.push(
+    "",
+    "Costs are estimates from the `vsx.pricing` setting (USD per million tokens); models without a price count as unpriced."
+  );
+  return lines.join("\n");
+}
+
+module.exports = { createUsageTracker, estimateCost, findPrice, formatUsageSummary };
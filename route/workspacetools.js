@@ -0,0 +1,99 @@
+const fs = require("fs");
+const path = require("path");
+
+// Read-only workspace tools a mode can offer the model. Paths are relative to
+// the first workspace folder and may not leave it.
+
+const DEFAULT_MAX_RESULTS = 200;
+
+function getWorkspaceRoot() {
+  try {
+    const folders = require("vscode").workspace.workspaceFolders;
+    if (folders && folders.length) return folders[0].uri.fsPath;
+  } catch {
+  }
+  return null;
+}
+
+function isInside(root, target) {
+  const rel = path.relative(root, target);
+  return rel !== ".." && !rel.startsWith(".." + path.sep) && !path.isAbsolute(rel);
+}
+
+// Both ends are resolved through symlinks before the check, so a link inside
+// the workspace cannot lead the tools to files elsewhere on disk. Returns the
+// real path of the target.
+function resolveInWorkspace(root, relPath) {
+  const realRoot = fs.realpathSync(root);
+  const target = path.resolve(realRoot, String(relPath || ""));
+  if (!isInside(realRoot, target)) throw new Error(`Path is outside the workspace: ${relPath}`);
+  const realTarget = fs.realpathSync(target);
+  if (!isInside(realRoot, realTarget)) throw new Error(`Path is outside the workspace: ${relPath}`);
+  return realTarget;
+}
+
+const listWorkspaceFiles = {
+  name: "list_workspace_files",
+  description:
+    "List files in the user's workspace. Returns one workspace-relative path per line. node_modules is skipped.",
+  parameters: {
+    type: "object",
+    properties: {
+      pattern: {
+        type: "string",
+        description: "Glob pattern relative to the workspace root, e.g. src/**/*.js. Defaults to every file.",
+      },
+      maxResults: { type: "integer", description: "Upper bound on returned paths (default 200)." },
+    },
+  },
+  async handler(args) {
+    const vscode = require("vscode");
+    const root = getWorkspaceRoot();
+    if (!root) throw new Error("No workspace folder is open");
+    const limit = Math.min(Math.max(Number(args.maxResults) || DEFAULT_MAX_RESULTS, 1), 1000);
+    const uris = await vscode.workspace.findFiles(args.pattern || "**/*", "**/node_modules/**", limit);
+    const paths = uris.map((uri) => path.relative(root, uri.fsPath).split(path.sep).join("/")).sort();
+    return paths.length ? paths.join("\n") : "No matching files.";
+  },
+};
+
+const readWorkspaceFile = {
+  name: "read_workspace_file",
+  description:
+    "Read a text file from the user's workspace. Large files are cut at the attachment size limit.",
+  parameters: {
+    type: "object",
+    properties: {
+      path: { type: "string", description: "Workspace-relative path of the file." },
+    },
+    required: ["path"],
+  },
+  async handler(args, context) {
+    const root = getWorkspaceRoot();
+    if (!root) throw new Error("No workspace folder is open");
+    if (!args.path) throw new Error("path is required");
+    const target = resolveInWorkspace(root, args.path);
+    const stat = await fs.promises.stat(target);
+    if (!stat.isFile()) throw new Error(`Not a file: ${args.path}`);
+
+    // same limit as files attached in the webview
+    const config = context && context.config;
+    const kb = Number(config && config.get("attachments.maxFileSizeKB"));
+    const maxBytes = (Number.isFinite(kb) && kb > 0 ? kb : 256) * 1024;
+    if (stat.size <= maxBytes) return fs.promises.readFile(target, "utf8");
+
+    const handle = await fs.promises.open(target, "r");
+    try {
+      const buf = Buffer.alloc(maxBytes);
+      const { bytesRead } = await handle.read(buf, 0, maxBytes, 0);
+      let content = buf.toString("utf8", 0, bytesRead);
+      const lastBreak = content.lastIndexOf("\n");
+      if (lastBreak > 0) content = content.slice(0, lastBreak);
+      return `${content}\n… [truncated, file is ${stat.size} bytes]`;
+    } finally {
+      await handle.close();
+    }
+  },
+};
+
+module.exports = { tools: [listWorkspaceFiles, readWorkspaceFile], resolveInWorkspace };
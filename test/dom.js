@@ -0,0 +1,108 @@
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+// Just enough of the DOM for the webview's rendering scripts, which only
+// create elements, text nodes and set properties. html() serializes a node
+// with text escaped, so tests can tell markup from text that looks like it.
+
+const ATTRIBUTES = ["className", "href", "rel", "title", "type", "start", "checked", "disabled"];
+const VOID_TAGS = new Set(["br", "hr", "input", "img"]);
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+class FakeNode {
+  constructor() {
+    this.childNodes = [];
+    this.parentNode = null;
+  }
+
+  appendChild(child) {
+    if (child.parentNode) child.remove();
+    child.parentNode = this;
+    this.childNodes.push(child);
+    return child;
+  }
+
+  remove() {
+    if (!this.parentNode) return;
+    const siblings = this.parentNode.childNodes;
+    siblings.splice(siblings.indexOf(this), 1);
+    this.parentNode = null;
+  }
+
+  get textContent() {
+    return this.childNodes.map((c) => c.textContent).join("");
+  }
+
+  set textContent(value) {
+    for (const child of this.childNodes) child.parentNode = null;
+    this.childNodes = [];
+    if (value) this.appendChild(new FakeText(String(value)));
+  }
+}
+
+class FakeText extends FakeNode {
+  constructor(data) {
+    super();
+    this.data = data;
+  }
+
+  get textContent() {
+    return this.data;
+  }
+
+  html() {
+    return escapeHtml(this.data);
+  }
+}
+
+class FakeElement extends FakeNode {
+  constructor(tag) {
+    super();
+    this.tagName = tag.toUpperCase();
+    this.className = "";
+    this.style = {};
+    const self = this;
+    this.classList = {
+      add: (name) => {
+        if (!this.classList.contains(name)) self.className = (self.className ? self.className + " " : "") + name;
+      },
+      contains: (name) => self.className.split(" ").includes(name),
+    };
+  }
+
+  set innerHTML(value) {
+    throw new Error(`innerHTML set on <${this.tagName.toLowerCase()}>: ${value}`);
+  }
+
+  html() {
+    const tag = this.tagName.toLowerCase();
+    const attrs = ATTRIBUTES.filter((name) => this[name] !== undefined && this[name] !== "" && this[name] !== false)
+      .map((name) => {
+        const attr = name === "className" ? "class" : name;
+        return this[name] === true ? ` ${attr}` : ` ${attr}="${escapeHtml(this[name])}"`;
+      })
+      .join("");
+    const style = this.style.textAlign ? ` style="text-align: ${this.style.textAlign}"` : "";
+    const open = `<${tag}${attrs}${style}>`;
+    if (VOID_TAGS.has(tag)) return open;
+    return `${open}${this.childNodes.map((c) => c.html()).join("")}</${tag}>`;
+  }
+}
+
+const document = {
+  createElement: (tag) => new FakeElement(tag),
+  createTextNode: (text) => new FakeText(String(text)),
+};
+
+// Runs ui/<name>.js against the fake document and returns its `window`.
+function loadUiScript(name, window = {}) {
+  const source = fs.readFileSync(path.join(__dirname, "..", "ui", name), "utf8");
+  vm.runInNewContext(source, { window, document, console }, { filename: name });
+  return window;
+}
+
+module.exports = { document, loadUiScript };
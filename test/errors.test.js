@@ -0,0 +1,63 @@
+const assert = require("assert");
+const { describeError } = require("../route/errors");
+
+function httpError(status, body) {
+  const err = new Error(`API error ${status}: ${body}`);
+  err.status = status;
+  err.body = typeof body === "string" ? body : JSON.stringify(body);
+  return err;
+}
+
+const kindOf = (err) => describeError(err, "Test").kind;
+
+suite("error kinds", () => {
+  test("a rejected key asks for a new one", () => {
+    assert.strictEqual(kindOf(httpError(401, { error: { type: "authentication_error", message: "invalid x-api-key" } })), "invalid_key");
+    assert.strictEqual(
+      kindOf(httpError(400, { error: { code: 400, message: "API key not valid. Please pass a valid API key.", status: "INVALID_ARGUMENT", details: [{ reason: "API_KEY_INVALID" }] } })),
+      "invalid_key"
+    );
+    assert.strictEqual(
+      kindOf(httpError(403, { error: { code: 403, status: "PERMISSION_DENIED", details: [{ reason: "API_KEY_SERVICE_BLOCKED" }] } })),
+      "invalid_key"
+    );
+    assert.strictEqual(describeError(httpError(401, "Unauthorized"), "Test").actions[0], "setApiKey");
+  });
+
+  test("a proxy's 403 is not blamed on the key", () => {
+    const proxyPage =
+      "<html><head><title>403 Forbidden</title></head><body><h1>Access Denied</h1>" +
+      "<p>The request was blocked by your organization's web gateway. Authentication policy: default.</p></body></html>";
+    const info = describeError(httpError(403, proxyPage), "Test");
+    assert.strictEqual(info.kind, "permission_denied");
+    assert.ok(!info.actions.includes("setApiKey"));
+  });
+
+  test("region blocks and per-model permission errors are access problems", () => {
+    assert.strictEqual(
+      kindOf(httpError(403, { error: { code: "unsupported_country_region_territory", message: "Country, region, or territory not supported" } })),
+      "permission_denied"
+    );
+    assert.strictEqual(
+      kindOf(httpError(403, { status: 403, title: "Forbidden", detail: "PERMISSION_DENIED: Authorization failed for this function" })),
+      "permission_denied"
+    );
+    assert.strictEqual(
+      kindOf(httpError(403, { error: { code: 403, message: "The caller does not have permission", status: "PERMISSION_DENIED" } })),
+      "permission_denied"
+    );
+  });
+
+  test("mentioning authentication or x-api-key is not enough", () => {
+    assert.strictEqual(kindOf(httpError(400, { error: { message: "Header x-api-key must not be combined with Authorization for this route" } })), "unknown");
+    assert.strictEqual(kindOf(httpError(500, "authentication backend timed out")), "unavailable");
+  });
+
+  test("other kinds still classify", () => {
+    assert.strictEqual(kindOf(httpError(403, { error: { message: "You exceeded your current quota" } })), "quota");
+    assert.strictEqual(kindOf(httpError(429, "Too Many Requests")), "rate_limit");
+    assert.strictEqual(kindOf(httpError(404, "Not Found")), "bad_model");
+    assert.strictEqual(kindOf(httpError(400, { error: { code: "content_filter", message: "blocked" } })), "safety");
+    assert.strictEqual(kindOf(Object.assign(new Error("connect"), { code: "ECONNREFUSED" })), "network");
+  });
+});
@@ -0,0 +1,60 @@
+const fs = require("fs");
+const path = require("path");
+
+// Shared setup for the suites. Provider requests are answered from the
+// fixture files in test/fixtures (see route/fixtures.js), so no suite needs
+// the network or an API key. The fixtures there now are synthetic: responses
+// written by hand in each provider's wire format and saved through record
+// mode, each with a `synthetic` note saying what it stands for. They pin down
+// our own parsing, not the providers' real chunking. Running the suites with
+// VSX_TRANSPORT_MODE=record and real keys in VSX_TEST_GEMINI_KEY /
+// VSX_TEST_NVIDIA_KEY replaces them with captured traffic (same request,
+// same file); the error cases can only be captured when a provider actually
+// fails that way.
+
+const FIXTURES_DIR = path.join(__dirname, "fixtures");
+
+// A stand-in for the `vsx` configuration section: `values` maps setting keys
+// (without the "vsx." prefix) to their values, everything else is undefined.
+function createConfig(values = {}) {
+  const settings = Object.assign(
+    {
+      "apiKey.gemini": process.env.VSX_TEST_GEMINI_KEY || "replay-key",
+      "apiKey.nvidia": process.env.VSX_TEST_NVIDIA_KEY || "replay-key",
+      "modelDiscovery.enabled": false,
+      "retry.baseDelayMs": 0,
+    },
+    values
+  );
+  return { get: (key) => settings[key] };
+}
+
+// Switches the transport to fixture replay (or recording) for a suite.
+// Returns a function that restores the previous environment.
+function useFixtures() {
+  const saved = {
+    mode: process.env.VSX_TRANSPORT_MODE,
+    dir: process.env.VSX_FIXTURES_DIR,
+  };
+  if (process.env.VSX_TRANSPORT_MODE !== "record") process.env.VSX_TRANSPORT_MODE = "replay";
+  process.env.VSX_FIXTURES_DIR = FIXTURES_DIR;
+  return () => {
+    for (const [key, value] of [["VSX_TRANSPORT_MODE", saved.mode], ["VSX_FIXTURES_DIR", saved.dir]]) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  };
+}
+
+// Fixtures matching `predicate(fixture)`, e.g. every streamed
+// Gemini response. Fixture files are named by request hash, so suites look
+// them up by content instead.
+function findFixtures(predicate) {
+  return fs
+    .readdirSync(FIXTURES_DIR)
+    .filter((name) => name.endsWith(".json"))
+    .map((name) => JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, name), "utf8")))
+    .filter(predicate);
+}
+
+module.exports = { FIXTURES_DIR, createConfig, useFixtures, findFixtures };
@@ -0,0 +1,75 @@
+const assert = require("assert");
+const { document, loadUiScript } = require("./dom");
+
+// The offline code highlighter, ui/highlight.js, run against a stand-in DOM.
+
+const { highlighter } = loadUiScript("highlight.js");
+
+function highlight(code, languageId) {
+  const codeEl = document.createElement("code");
+  highlighter.highlight(codeEl, code, languageId);
+  return codeEl.html();
+}
+
+suite("highlight", () => {
+  test("resolves fence names and aliases", () => {
+    assert.strictEqual(highlighter.resolve("js"), "javascript");
+    assert.strictEqual(highlighter.resolve(" TSX "), "typescript");
+    assert.strictEqual(highlighter.resolve("py"), "python");
+    assert.strictEqual(highlighter.resolve("yml"), "yaml");
+    assert.strictEqual(highlighter.resolve("patch"), "diff");
+    assert.strictEqual(highlighter.resolve("c++"), "cpp");
+  });
+
+  test("resolves opt-outs to plaintext and unknown names to null", () => {
+    assert.strictEqual(highlighter.resolve("text"), "plaintext");
+    assert.strictEqual(highlighter.resolve("nohighlight"), "plaintext");
+    assert.strictEqual(highlighter.resolve("brainfork"), null);
+    assert.strictEqual(highlighter.resolve(""), null);
+    assert.strictEqual(highlighter.resolve(undefined), null);
+  });
+
+  test("detects clear snippets", () => {
+    assert.strictEqual(highlighter.detect('{\n  "name": "vsx",\n  "private": true\n}'), "json");
+    assert.strictEqual(highlighter.detect("def greet(name):\n    print(f'hi {name}')\n"), "python");
+    assert.strictEqual(
+      highlighter.detect("--- a/index.js\n+++ b/index.js\n@@ -1,2 +1,2 @@\n-const a = 1;\n+const a = 2;\n"),
+      "diff"
+    );
+    assert.strictEqual(highlighter.detect("const add = (a, b) => a + b;\nconsole.log(add(1, 2));"), "javascript");
+  });
+
+  test("leaves prose and empty code undetected", () => {
+    assert.strictEqual(highlighter.detect("Just a sentence about nothing."), null);
+    assert.strictEqual(highlighter.detect("   \n"), null);
+  });
+
+  test("wraps tokens in spans and escapes their text", () => {
+    assert.strictEqual(
+      highlight('if (a < b && c) return "<x>"; // & done', "javascript"),
+      '<code class="language-javascript"><span class="hl-keyword">if</span> (a &lt; b &amp;&amp; c) ' +
+        '<span class="hl-keyword">return</span> <span class="hl-string">&quot;&lt;x&gt;&quot;</span>; ' +
+        '<span class="hl-comment">// &amp; done</span></code>'
+    );
+  });
+
+  test("markup stays text inside its tokens", () => {
+    const html = highlight('<script>alert("x")</script>', "html");
+    assert.ok(!html.includes("<script"), html);
+    assert.ok(html.includes("&lt;"), html);
+  });
+
+  test("unknown languages fall back to plain text", () => {
+    assert.strictEqual(highlight("a < b & c", "brainfork"), "<code>a &lt; b &amp; c</code>");
+    assert.strictEqual(highlight("x = 1", "plaintext"), "<code>x = 1</code>");
+  });
+
+  test("every language tokenizes back to its source", () => {
+    const sample = 'let x = "a<b" # c\n/* d */ 0x1F <tag attr="1"> -- e\n+ f\n@@ g';
+    for (const id of highlighter.languages) {
+      const codeEl = document.createElement("code");
+      highlighter.highlight(codeEl, sample, id);
+      assert.strictEqual(codeEl.textContent, sample, id);
+    }
+  });
+});
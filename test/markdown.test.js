@@ -0,0 +1,88 @@
+const assert = require("assert");
+const { document, loadUiScript } = require("./dom");
+
+// The chat's Markdown renderer, ui/markdown.js, run against a stand-in DOM.
+
+const { markdown } = loadUiScript("markdown.js");
+
+function render(text, container = document.createElement("div")) {
+  markdown.render(container, text, {});
+  return container.childNodes.map((n) => n.html()).join("");
+}
+
+suite("markdown", () => {
+  test("renders blocks and inline formatting", () => {
+    assert.strictEqual(
+      render("# Title\n\nSome *em*, **strong**, ~~gone~~ and `code`."),
+      '<h1>Title</h1><p>Some <em>em</em>, <strong>strong</strong>, <del>gone</del> and <code class="inline-code">code</code>.</p>'
+    );
+    assert.strictEqual(
+      render("- [x] done\n- [ ] todo"),
+      '<ul><li class="task-list-item"><input type="checkbox" checked disabled><span>done</span></li>' +
+        '<li class="task-list-item"><input type="checkbox" disabled><span>todo</span></li></ul>'
+    );
+  });
+
+  test("shows raw HTML as text", () => {
+    const html = render('<script>alert(1)</script>\n\n<img src=x onerror="alert(1)"> <b>bold</b>');
+    assert.ok(!/<script|<img|<b>/.test(html), html);
+    assert.ok(html.includes("&lt;script&gt;alert(1)&lt;/script&gt;"));
+    assert.ok(html.includes("&lt;b&gt;bold&lt;/b&gt;"));
+  });
+
+  test("keeps HTML inside code as text", () => {
+    assert.strictEqual(
+      render("```html\n<iframe src=\"https://x\"></iframe>\n```"),
+      "<pre><code>&lt;iframe src=&quot;https://x&quot;&gt;&lt;/iframe&gt;</code></pre>"
+    );
+    assert.strictEqual(render("`<b>`"), '<p><code class="inline-code">&lt;b&gt;</code></p>');
+  });
+
+  test("links only to http(s), mailto and in-page targets", () => {
+    assert.strictEqual(
+      render("[docs](https://example.com/a \"Docs\")"),
+      '<p><a href="https://example.com/a" rel="noopener noreferrer" title="Docs">docs</a></p>'
+    );
+    for (const url of [
+      "javascript:alert(1)",
+      "JaVaScRiPt:alert(1)",
+      "data:text/html;base64,PHNjcmlwdD4=",
+      "vbscript:msgbox",
+      "file:///etc/passwd",
+      "jav&#x61;script:alert(1)",
+    ]) {
+      const html = render(`[click](${url})`);
+      assert.ok(!html.includes("<a"), `${url} -> ${html}`);
+      assert.ok(html.includes("click"));
+    }
+    assert.ok(render("[top](#top)").includes('href="#top"'));
+    assert.ok(render("<mailto:me@example.com>").includes('href="mailto:me@example.com"'));
+  });
+
+  test("links bare URLs", () => {
+    assert.strictEqual(
+      render("see https://example.com/path."),
+      '<p>see <a href="https://example.com/path" rel="noopener noreferrer" title="https://example.com/path">https://example.com/path</a>.</p>'
+    );
+  });
+
+  test("decodes entities to text, never to markup", () => {
+    assert.strictEqual(render("&lt;b&gt; &amp; &#65;"), "<p>&lt;b&gt; &amp; A</p>");
+  });
+
+  test("re-renders only the block still being written", () => {
+    const container = document.createElement("div");
+    const full = "# Heading\n\nFirst paragraph.\n\n- one\n- two";
+    for (let i = 1; i <= full.length; i++) render(full.slice(0, i), container);
+    const heading = container.childNodes[0];
+    assert.strictEqual(render(full + "\n- three", container), render(full + "\n- three"));
+    assert.strictEqual(container.childNodes[0], heading);
+  });
+
+  test("starts over when the container was changed from outside", () => {
+    const container = document.createElement("div");
+    render("first", container);
+    container.textContent = "replaced";
+    assert.strictEqual(render("second", container), "<p>second</p>");
+  });
+});
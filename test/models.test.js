@@ -0,0 +1,34 @@
+const assert = require("assert");
+const nvidia = require("../route/nvidiaclient");
+const gemini = require("../route/geminiclient");
+const { useFixtures } = require("./helpers");
+
+// Model discovery against synthetic /models listings in test/fixtures.
+
+suite("model discovery", () => {
+  let restore;
+  suiteSetup(() => {
+    restore = useFixtures();
+  });
+  suiteTeardown(() => restore());
+
+  test("NVIDIA lists chat models only", async () => {
+    const ids = (await nvidia.listModels("replay-key")).map((m) => m.id);
+    assert.deepStrictEqual(ids, [
+      "deepseek-ai/deepseek-r1",
+      "meta/llama-3.3-70b-instruct",
+      "qwen/qwen3-next-80b-a3b-thinking",
+    ]);
+  });
+
+  test("Gemini reports the input limit as the context window", async () => {
+    const models = await gemini.listModels("replay-key");
+    assert.deepStrictEqual(
+      models.map((m) => [m.id, m.contextWindow, m.vision]),
+      [
+        ["gemini-2.5-flash", 1048576, true],
+        ["gemma-3-27b-it", 131072, false],
+      ]
+    );
+  });
+});
@@ -0,0 +1,154 @@
+const assert = require("assert");
+const parser = require("../route/parser");
+const { findFixtures } = require("./helpers");
+
+// Fixture SSE bodies (synthetic, see ./helpers) fed to the parser the way the clients see them: the
+// incremental parser chunk by chunk, parseResponse with the whole body.
+
+// A `reclassified` delta moves the answer so far over to the reasoning, as
+// the chat view does.
+function streamAll(chunks) {
+  const stream = parser.createStreamParser();
+  const out = { plain_text: "", thinking_text: "", deltas: 0 };
+  const take = (d) => {
+    if (!d) return;
+    out.deltas++;
+    if (d.reclassified) {
+      out.thinking_text += out.plain_text;
+      out.plain_text = "";
+    }
+    out.plain_text += d.plain_text;
+    out.thinking_text += d.thinking_text;
+  };
+  for (const chunk of chunks) take(stream.push(chunk));
+  take(stream.flush());
+  return out;
+}
+
+suite("parser replay", () => {
+  const streamed = findFixtures(
+    (f) => f.response.status === 200 && /event-stream/.test(f.response.headers["content-type"] || "")
+  );
+
+  test("fixtures include streamed replies", () => {
+    assert.ok(streamed.length >= 2);
+  });
+
+  for (const fixture of streamed) {
+    const body = fixture.response.chunks.join("");
+    const label = `${fixture.request.url.replace(/\?.*/, "")} (${fixture.request.body.model || "gemini"})`;
+
+    test(`streaming and whole-body parsing agree: ${label}`, () => {
+      const whole = parser.parseResponse({ raw: body });
+      const incremental = streamAll(fixture.response.chunks);
+      assert.ok(whole.plain_text, "the fixture answer has text");
+      assert.strictEqual(incremental.plain_text.trim(), whole.plain_text);
+      assert.strictEqual(incremental.thinking_text.trim(), whole.thinking_text);
+    });
+
+    test(`chunk boundaries do not matter: ${label}`, () => {
+      const byChar = streamAll(body.split(""));
+      const whole = streamAll([body]);
+      assert.strictEqual(byChar.plain_text, whole.plain_text);
+      assert.strictEqual(byChar.thinking_text, whole.thinking_text);
+    });
+
+    test(`usage is read from the stream: ${label}`, () => {
+      const usage = parser.extractUsage({ raw: body });
+      assert.ok(usage && usage.totalTokens > 0);
+    });
+  }
+
+  test("partial lines wait for the rest of the line", () => {
+    const stream = parser.createStreamParser();
+    assert.strictEqual(stream.push('data: {"choices":[{"delta":{"content":"Hel'), null);
+    assert.deepStrictEqual(stream.push('lo"}}]}\n'), { plain_text: "Hello", thinking_text: "" });
+  });
+
+  test("keep-alives, comments and [DONE] carry no text", () => {
+    const stream = parser.createStreamParser();
+    assert.strictEqual(stream.push(": keep-alive\n\ndata: [DONE]\n\n"), null);
+    assert.strictEqual(stream.flush(), null);
+  });
+});
+
+function splitStreaming(pieces) {
+  const splitter = parser.createThinkTagSplitter();
+  const out = { plain_text: "", thinking_text: "", reclassified: false };
+  const take = (d) => {
+    if (d.reclassified) {
+      out.reclassified = true;
+      out.thinking_text += out.plain_text;
+      out.plain_text = "";
+    }
+    out.plain_text += d.plain_text;
+    out.thinking_text += d.thinking_text;
+  };
+  for (const piece of pieces) take(splitter.push(piece));
+  take(splitter.flush());
+  return out;
+}
+
+suite("think tags", () => {
+  const cases = {
+    "a leading block": ["<think>Add them.</think>\n\nIt is 4.", "Add them.", "It is 4."],
+    "an orphan closing tag": ["Add them.\n</think>\n\nIt is 4.", "Add them.\n", "It is 4."],
+    "a <thinking> block": ["<thinking>Hmm.</thinking>Yes.", "Hmm.", "Yes."],
+    "an unterminated block": ["<think>Still going", "Still going", ""],
+    "a tag mentioned mid-answer": ["Use a <think> tag.", "", "Use a <think> tag."],
+    "no tags": ["Just text.", "", "Just text."],
+  };
+
+  for (const [name, [input, thinking, answer]] of Object.entries(cases)) {
+    test(`splits ${name}`, () => {
+      const whole = parser.splitThinkTags(input);
+      assert.strictEqual(whole.thinking_text, thinking);
+      assert.strictEqual(whole.plain_text, answer);
+    });
+
+    test(`streams ${name} one character at a time`, () => {
+      const streamed = splitStreaming(input.split(""));
+      assert.strictEqual(streamed.thinking_text, thinking);
+      assert.strictEqual(streamed.plain_text, answer);
+    });
+  }
+
+  test("an orphan closing tag flags the deltas as reclassified", () => {
+    const splitter = parser.createThinkTagSplitter();
+    assert.deepStrictEqual(splitter.push("Add them.</th"), { plain_text: "Add them.", thinking_text: "" });
+    const delta = splitter.push("ink>It is 4.");
+    assert.strictEqual(delta.reclassified, true);
+    assert.strictEqual(delta.plain_text, "It is 4.");
+    assert.strictEqual(splitStreaming(["Add them.</th", "ink>It is 4."]).thinking_text, "Add them.");
+  });
+
+  test("flush starts over", () => {
+    const splitter = parser.createThinkTagSplitter();
+    splitter.push("<think>one");
+    splitter.flush();
+    assert.deepStrictEqual(splitter.push("two"), { plain_text: "two", thinking_text: "" });
+  });
+});
+
+suite("chat completions", () => {
+  test("reads reasoning_content from a non-streamed message", () => {
+    const parsed = parser.parseResponse({
+      object: "chat.completion",
+      choices: [{ index: 0, message: { role: "assistant", content: "It is 4.", reasoning_content: "Add them." } }],
+    });
+    assert.strictEqual(parsed.plain_text, "It is 4.");
+    assert.strictEqual(parsed.thinking_text, "Add them.");
+  });
+
+  test("the mock provider parses the same with and without streaming", async () => {
+    const mock = require("../route/mockclient");
+    const messages = [{ role: "user", content: "Hello" }];
+    const whole = parser.parseResponse(await mock.callMock("mock-lorem", messages, { delayMs: 0 }));
+    const streamed = parser.parseResponse(
+      await mock.callMock("mock-lorem", messages, { delayMs: 0, onChunk: () => {} })
+    );
+    assert.ok(whole.thinking_text);
+    assert.strictEqual(whole.thinking_text, streamed.thinking_text);
+    assert.strictEqual(whole.plain_text, streamed.plain_text);
+  });
+});
@@ -0,0 +1,103 @@
+const assert = require("assert");
+const nvidia = require("../route/nvidiaclient");
+const openaiCompatible = require("../route/openaiclient");
+const anthropic = require("../route/anthropicclient");
+
+// Request bodies the chat-completions and Messages API clients build.
+
+const messages = [
+  { role: "system", content: "Be brief." },
+  { role: "user", content: "Hi" },
+];
+
+suite("chat-completions payloads", () => {
+  test("NVIDIA applies its per-model defaults and asks for stream usage", () => {
+    const payload = nvidia.buildPayload("qwen/qwen3-some-new-model", messages);
+    assert.strictEqual(payload.temperature, 0.6);
+    assert.strictEqual(payload.max_tokens, 4096);
+    assert.deepStrictEqual(payload.stream_options, { include_usage: true });
+    assert.deepStrictEqual(payload.messages, [
+      { role: "system", content: "Be brief." },
+      { role: "user", content: "Hi" },
+    ]);
+  });
+
+  test("OpenAI-compatible servers get no NVIDIA model defaults", () => {
+    for (const id of ["qwen/qwen3-next-80b-a3b-thinking", "openai/gpt-oss-20b", "llama3.2"]) {
+      const payload = JSON.parse(JSON.stringify(openaiCompatible.buildPayload(id, messages)));
+      assert.deepStrictEqual(Object.keys(payload).sort(), ["messages", "model", "stream"], id);
+      assert.strictEqual(payload.stream, true);
+    }
+  });
+
+  test("OpenAI-compatible servers get the parameters the user set", () => {
+    const payload = openaiCompatible.buildPayload("llama3.2", messages, {
+      parameters: { temperature: 0.1, max_tokens: 512, reasoning_effort: "low" },
+    });
+    assert.strictEqual(payload.temperature, 0.1);
+    assert.strictEqual(payload.max_tokens, 512);
+    assert.strictEqual(payload.reasoning_effort, "low");
+    assert.strictEqual(payload.top_p, undefined);
+  });
+
+  test("stream usage is opt-in for OpenAI-compatible servers", () => {
+    assert.strictEqual(openaiCompatible.buildPayload("llama3.2", messages).stream_options, undefined);
+    assert.deepStrictEqual(
+      openaiCompatible.buildPayload("llama3.2", messages, { streamUsage: true }).stream_options,
+      { include_usage: true }
+    );
+  });
+});
+
+suite("Anthropic payloads", () => {
+  const image = { mimeType: "image/png", data: "iVBORw0KGgo=", label: "shot.png" };
+
+  test("attached images go out as base64 image blocks ahead of the text", () => {
+    const payload = anthropic.buildPayload("claude-sonnet-4-5", [
+      { role: "system", content: "Be brief." },
+      { role: "user", content: "What is this?", images: [image] },
+    ]);
+    assert.strictEqual(payload.system, "Be brief.");
+    assert.deepStrictEqual(payload.messages, [
+      {
+        role: "user",
+        content: [
+          { type: "image", source: { type: "base64", media_type: "image/png", data: "iVBORw0KGgo=" } },
+          { type: "text", text: "What is this?" },
+        ],
+      },
+    ]);
+  });
+
+  test("turns without images stay plain strings", () => {
+    const payload = anthropic.buildPayload("claude-sonnet-4-5", messages);
+    assert.deepStrictEqual(payload.messages, [{ role: "user", content: "Hi" }]);
+  });
+
+  test("empty turns are dropped and same-role neighbours merged", () => {
+    const payload = anthropic.buildPayload("claude-sonnet-4-5", [
+      { role: "user", content: "Read a.js" },
+      { role: "assistant", content: "", toolCalls: [{ id: "1", name: "read_file", arguments: {} }] },
+      { role: "user", content: "Now b.js" },
+      { role: "assistant", content: "  " },
+      { role: "user", content: "What is this?", images: [image] },
+      { role: "assistant", content: "A screenshot." },
+      { role: "assistant", content: "Of a login form." },
+    ]);
+    assert.deepStrictEqual(payload.messages, [
+      {
+        role: "user",
+        content: [
+          { type: "text", text: "Read a.js\n\nNow b.js" },
+          { type: "image", source: { type: "base64", media_type: "image/png", data: "iVBORw0KGgo=" } },
+          { type: "text", text: "What is this?" },
+        ],
+      },
+      { role: "assistant", content: "A screenshot.\n\nOf a login form." },
+    ]);
+  });
+
+  test("every Claude model takes images", () => {
+    assert.ok(anthropic.getModels().every((m) => m.vision === true));
+  });
+});
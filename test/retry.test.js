@@ -0,0 +1,126 @@
+const assert = require("assert");
+const { withRetry, isRetryable, parseRetryAfter } = require("../route/retry");
+const { createAbortError } = require("../route/abort");
+
+function httpError(status, body = "", headers = {}) {
+  const err = new Error(`API error ${status}: ${body}`);
+  err.status = status;
+  err.body = body;
+  err.headers = headers;
+  return err;
+}
+
+function networkError(code) {
+  const err = new Error(`connect ${code}`);
+  err.code = code;
+  return err;
+}
+
+// Runs withRetry over a function that fails with `errors` in turn, then
+// succeeds. Resolves to the attempts made and the delays chosen.
+async function run(errors, options = {}) {
+  const delays = [];
+  let attempts = 0;
+  const value = await withRetry(
+    async () => {
+      attempts++;
+      if (attempts <= errors.length) throw errors[attempts - 1];
+      return "ok";
+    },
+    Object.assign({ baseDelayMs: 0, onRetry: ({ delayMs }) => delays.push(delayMs) }, options)
+  );
+  return { value, attempts, delays };
+}
+
+suite("retry", () => {
+  test("retries rate limits, outages and dropped connections", () => {
+    assert.ok(isRetryable(httpError(429, '{"error":{"message":"Rate limit reached"}}')));
+    assert.ok(isRetryable(httpError(503, "Service Unavailable")));
+    assert.ok(isRetryable(networkError("ECONNRESET")));
+    assert.ok(isRetryable(new Error("socket hang up")));
+  });
+
+  test("does not retry an exhausted quota", () => {
+    const quota = '{"error":{"code":"insufficient_quota","message":"You exceeded your current quota"}}';
+    assert.strictEqual(isRetryable(httpError(429, quota)), false);
+    assert.strictEqual(isRetryable(httpError(402, "Payment Required")), false);
+    assert.strictEqual(isRetryable(httpError(429, "Billing hard limit has been reached")), false);
+  });
+
+  test("does not retry failures that repeat", () => {
+    assert.strictEqual(isRetryable(httpError(400, "Bad Request")), false);
+    assert.strictEqual(isRetryable(httpError(401, "Unauthorized")), false);
+    assert.strictEqual(isRetryable(httpError(403, '{"error":{"status":"PERMISSION_DENIED"}}')), false);
+    assert.strictEqual(isRetryable(networkError("ENOTFOUND")), false);
+    assert.strictEqual(isRetryable(networkError("CERT_HAS_EXPIRED")), false);
+    assert.strictEqual(isRetryable(createAbortError()), false);
+  });
+
+  test("gives up after maxAttempts", async () => {
+    let attempts = 0;
+    await assert.rejects(
+      withRetry(
+        async () => {
+          attempts++;
+          throw httpError(503);
+        },
+        { maxAttempts: 3, baseDelayMs: 0 }
+      ),
+      (err) => err.status === 503
+    );
+    assert.strictEqual(attempts, 3);
+  });
+
+  test("returns the first success", async () => {
+    const { value, attempts } = await run([httpError(500), networkError("ETIMEDOUT")]);
+    assert.strictEqual(value, "ok");
+    assert.strictEqual(attempts, 3);
+  });
+
+  test("backs off exponentially with jitter", async () => {
+    const random = Math.random;
+    try {
+      Math.random = () => 0;
+      assert.deepStrictEqual((await run([httpError(500), httpError(500)], { baseDelayMs: 8 })).delays, [4, 8]);
+      Math.random = () => 0.999999;
+      assert.deepStrictEqual((await run([httpError(500), httpError(500)], { baseDelayMs: 8 })).delays, [8, 16]);
+    } finally {
+      Math.random = random;
+    }
+  });
+
+  test("honours Retry-After", async () => {
+    const { delays } = await run([httpError(429, "slow down", { "retry-after": "0.01" })]);
+    assert.deepStrictEqual(delays, [10]);
+    assert.strictEqual(parseRetryAfter({ "retry-after": "2" }), 2000);
+    assert.ok(parseRetryAfter({ "retry-after": new Date(Date.now() + 60000).toUTCString() }) > 50000);
+    assert.strictEqual(parseRetryAfter({ "retry-after": "soon" }), null);
+    assert.strictEqual(parseRetryAfter({}), null);
+  });
+
+  test("shouldRetry can veto a retry", async () => {
+    let attempts = 0;
+    await assert.rejects(
+      withRetry(
+        async () => {
+          attempts++;
+          throw httpError(503);
+        },
+        { baseDelayMs: 0, shouldRetry: () => false }
+      )
+    );
+    assert.strictEqual(attempts, 1);
+  });
+
+  test("an abort during the wait stops retrying", async () => {
+    const controller = new AbortController();
+    const pending = withRetry(
+      async () => {
+        throw httpError(503);
+      },
+      { baseDelayMs: 10000, signal: controller.signal }
+    );
+    setImmediate(() => controller.abort());
+    await assert.rejects(pending, (err) => err.name === "AbortError");
+  });
+});
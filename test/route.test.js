@@ -0,0 +1,231 @@
+const assert = require("assert");
+const { createRouter } = require("../route/route");
+const providers = require("../route/providers");
+const { createConfig, useFixtures } = require("./helpers");
+
+// End-to-end runs of router.sendPrompt against the fixtures in test/fixtures
+// (synthetic, see ./helpers): the real clients build the request, the
+// transport answers it from the matching file, and the streamed chunks go
+// through the parser.
+
+const PROMPT = "What is 2 + 2?";
+
+function collectDeltas() {
+  const deltas = [];
+  const options = { onDelta: (d) => deltas.push(d) };
+  const joined = (key) => deltas.map((d) => d[key]).join("");
+  return { deltas, options, joined };
+}
+
+suite("router replay", () => {
+  let restore;
+  suiteSetup(() => {
+    restore = useFixtures();
+  });
+  suiteTeardown(() => restore());
+
+  test("streams an NVIDIA reply with reasoning_content", async () => {
+    const router = createRouter(null, { getConfig: () => createConfig() });
+    const { deltas, options, joined } = collectDeltas();
+    const result = await router.sendPrompt("qwen/qwen3-next-80b-a3b-thinking", PROMPT, "ask", options);
+
+    assert.strictEqual(result.text, "2 + 2 = **4**.");
+    assert.strictEqual(result.model, "qwen/qwen3-next-80b-a3b-thinking");
+    assert.strictEqual(joined("plain_text"), "2 + 2 = **4**.");
+    assert.strictEqual(joined("thinking_text"), "The user asks for the sum of 2 and 2. That is 4.");
+    assert.ok(deltas.length > 1, "deltas arrive as the chunks do");
+    assert.deepStrictEqual(
+      { prompt: result.usage.usage.promptTokens, completion: result.usage.usage.completionTokens },
+      { prompt: 41, completion: 27 }
+    );
+  });
+
+  test("streams a Gemini reply with thought summaries", async () => {
+    const router = createRouter(null, { getConfig: () => createConfig() });
+    const { options, joined } = collectDeltas();
+    const result = await router.sendPrompt("gemini-2.5-flash", PROMPT, "ask", options);
+
+    assert.strictEqual(result.text, "2 + 2 = 4.");
+    assert.strictEqual(joined("plain_text"), "2 + 2 = 4.");
+    assert.strictEqual(joined("thinking_text"), "**Adding the numbers**\n\nA simple sum: two plus two.");
+    assert.strictEqual(result.usage.usage.reasoningTokens, 24);
+    assert.strictEqual(result.usage.usage.totalTokens, 64);
+  });
+
+  test("moves text before an orphan </think> into reasoning", async () => {
+    const router = createRouter(null, { getConfig: () => createConfig() });
+    const { deltas, options } = collectDeltas();
+    // Replay is instant, so give the clock something to measure.
+    const now = Date.now;
+    let tick = now();
+    Date.now = () => (tick += 5);
+    let result;
+    try {
+      result = await router.sendPrompt("deepseek-ai/deepseek-r1", PROMPT, "ask", options);
+    } finally {
+      Date.now = now;
+    }
+
+    // Apply the deltas the way the chat view does.
+    let text = "";
+    let thinking = "";
+    for (const d of deltas) {
+      if (d.reclassified) {
+        thinking += text;
+        text = "";
+      }
+      thinking += d.thinking_text;
+      text += d.plain_text;
+    }
+    assert.ok(deltas.some((d) => d.reclassified));
+    assert.strictEqual(text, result.text);
+    assert.strictEqual(result.text, "2 + 2 = 4.");
+    assert.strictEqual(thinking, "Okay, the user wants 2 + 2. That is 4.\n");
+    assert.ok(result.reasoningMs > 0, "reasoning time is recorded");
+  });
+
+  test("returns the same answer without streaming callbacks", async () => {
+    const router = createRouter(null, { getConfig: () => createConfig() });
+    const result = await router.sendPrompt("qwen/qwen3-next-80b-a3b-thinking", PROMPT, "ask");
+    assert.strictEqual(result.text, "2 + 2 = **4**.");
+    assert.strictEqual(result.reasoningMs, null);
+  });
+
+  test("looks the model list up once per prompt", async () => {
+    const nvidia = providers.getProvider("nvidia");
+    const getModels = nvidia.getModels;
+    let lookups = 0;
+    nvidia.getModels = (...args) => {
+      lookups++;
+      return getModels(...args);
+    };
+    try {
+      const router = createRouter(null, { getConfig: () => createConfig() });
+      await router.sendPrompt("qwen/qwen3-next-80b-a3b-thinking", PROMPT, "ask");
+    } finally {
+      nvidia.getModels = getModels;
+    }
+    assert.strictEqual(lookups, 1);
+  });
+
+  test("falls back past an exhausted quota and a denied permission", async () => {
+    const router = createRouter(null, {
+      getConfig: () =>
+        createConfig({
+          "retry.maxAttempts": 3,
+          fallbackChains: {
+            "meta/llama-3.3-70b-instruct": ["deepseek-ai/deepseek-v3.1", "gemini-2.5-flash"],
+          },
+        }),
+    });
+    const statuses = [];
+    const result = await router.sendPrompt("meta/llama-3.3-70b-instruct", PROMPT, "ask", {
+      onDelta: () => {},
+      onStatus: (s) => statuses.push(s),
+    });
+
+    assert.strictEqual(result.text, "2 + 2 = 4.");
+    assert.strictEqual(result.model, "gemini-2.5-flash");
+    assert.deepStrictEqual(
+      statuses.map((s) => [s.state, s.from, s.to]),
+      [
+        ["fallback", "meta/llama-3.3-70b-instruct", "deepseek-ai/deepseek-v3.1"],
+        ["fallback", "deepseek-ai/deepseek-v3.1", "gemini-2.5-flash"],
+      ],
+      "neither failure is retried"
+    );
+  });
+
+  test("leaves out the oldest turns before giving up on a prompt", async () => {
+    const router = createRouter(null, { getConfig: () => createConfig() });
+    const model = "qwen/qwen3-next-80b-a3b-thinking";
+    await router.sendPrompt(model, PROMPT, "ask", { conversationId: "long-chat" });
+
+    // leave just enough room for the new prompt on its own
+    const alone = await router.estimatePrompt(model, "And 3 + 3?", "ask");
+    const parameters = { max_tokens: alone.contextWindow - alone.used };
+    const withHistory = await router.estimatePrompt(model, "And 3 + 3?", "ask", {
+      conversationId: "long-chat",
+      parameters,
+    });
+    assert.ok(withHistory.used > alone.used);
+    assert.strictEqual(withHistory.droppedTurns, 1);
+
+    const roomy = await router.estimatePrompt(model, "And 3 + 3?", "ask", { conversationId: "long-chat" });
+    assert.strictEqual(roomy.droppedTurns, 0);
+  });
+
+  test("sends an answer that misses the schema back for repair", async () => {
+    const router = createRouter(null, { getConfig: () => createConfig() });
+    const responseSchema = {
+      type: "object",
+      properties: { answer: { type: "integer" }, explanation: { type: ["string", "null"] } },
+      required: ["answer", "explanation"],
+    };
+    const statuses = [];
+    const result = await router.sendPrompt("deepseek-ai/deepseek-v3.1", PROMPT, "ask", {
+      responseSchema,
+      onStatus: (s) => statuses.push(s),
+    });
+
+    assert.deepStrictEqual(statuses, [
+      {
+        state: "repairing",
+        attempt: 1,
+        maxAttempts: 2,
+        errors: ['$: missing required property "explanation"', "$.answer: expected integer, got string"],
+      },
+    ]);
+    assert.deepStrictEqual(result.structured, {
+      value: { answer: 4, explanation: "Two plus two." },
+      valid: true,
+      errors: [],
+    });
+    assert.strictEqual(result.usage.usage.totalTokens, 109 + 174);
+  });
+
+  test("never sends a response schema together with tools", async () => {
+    const gemini = providers.getProvider("gemini");
+    const call = gemini.call;
+    const sent = [];
+    const replies = [
+      { candidates: [{ content: { role: "model", parts: [{ functionCall: { name: "list_workspace_files", args: {} } }] } }] },
+      { candidates: [{ content: { role: "model", parts: [{ text: '{"answer": 4}' }] }, finishReason: "STOP" }] },
+    ];
+    gemini.call = async (request) => {
+      sent.push({ tools: request.tools, toolChoice: request.toolChoice, responseSchema: request.responseSchema });
+      return replies[sent.length - 1];
+    };
+    let result;
+    try {
+      const router = createRouter(null, {
+        getConfig: () => createConfig({ "tools.enabled": true, "tools.maxRounds": 1 }),
+      });
+      result = await router.sendPrompt("gemini-2.5-flash", PROMPT, "ask", {
+        responseSchema: { type: "object", properties: { answer: { type: "integer" } }, required: ["answer"] },
+      });
+    } finally {
+      gemini.call = call;
+    }
+
+    assert.strictEqual(sent.length, 2);
+    for (const request of sent) assert.ok(!(request.tools && request.responseSchema), JSON.stringify(request));
+    assert.ok(sent[0].tools && sent[0].toolChoice === "auto");
+    assert.ok(sent[1].responseSchema, "the answering round carries the schema");
+    assert.deepStrictEqual(result.structured.value, { answer: 4 });
+  });
+
+  test("fails with an error bubble when there is no fixture", async () => {
+    const router = createRouter(null, {
+      getConfig: () => createConfig({ "retry.maxAttempts": 1 }),
+    });
+    await assert.rejects(
+      router.sendPrompt("qwen/qwen3-next-80b-a3b-thinking", "A prompt with no fixture", "ask"),
+      (err) => {
+        assert.strictEqual(err.code, "ENOFIXTURE");
+        assert.strictEqual(err.info.providerId, "nvidia");
+        return true;
+      }
+    );
+  });
+});
@@ -0,0 +1,109 @@
+const assert = require("assert");
+const { validate, toGeminiSchema } = require("../route/schema");
+const { parseStructured } = require("../route/parser");
+
+const PERSON = {
+  type: "object",
+  properties: {
+    name: { type: "string", minLength: 1 },
+    age: { type: "integer", minimum: 0 },
+    email: { type: ["string", "null"], pattern: "@" },
+    tags: { type: "array", items: { type: "string" }, maxItems: 2 },
+    role: { enum: ["admin", "user"] },
+  },
+  required: ["name", "age"],
+  additionalProperties: false,
+};
+
+suite("schema validation", () => {
+  test("accepts a matching value", () => {
+    assert.deepStrictEqual(
+      validate({ name: "Ada", age: 36, email: null, tags: ["math"], role: "admin" }, PERSON),
+      []
+    );
+  });
+
+  test("reports each problem with its path", () => {
+    const errors = validate(
+      { name: "", age: 3.5, email: "nope", tags: ["a", 2, "c"], role: "root", extra: true },
+      PERSON
+    );
+    assert.deepStrictEqual(errors, [
+      "$.name: shorter than 1 characters",
+      "$.age: expected integer, got number",
+      "$.email: does not match /@/",
+      "$.tags: allows at most 2 items",
+      "$.tags[1]: expected string, got integer",
+      '$.role: must be one of "admin", "user"',
+      '$: unexpected property "extra"',
+    ]);
+  });
+
+  test("reports missing required properties", () => {
+    assert.deepStrictEqual(validate({ name: "Ada" }, PERSON), ['$: missing required property "age"']);
+  });
+
+  test("numbers accept integers, nullable accepts null", () => {
+    assert.deepStrictEqual(validate(4, { type: "number" }), []);
+    assert.deepStrictEqual(validate(null, { type: "string", nullable: true }), []);
+    assert.deepStrictEqual(validate(null, { type: "string" }), ["$: expected string, got null"]);
+  });
+
+  test("anyOf and oneOf", () => {
+    const either = { anyOf: [{ type: "string" }, { type: "integer" }] };
+    assert.deepStrictEqual(validate(1, either), []);
+    assert.deepStrictEqual(validate(true, either), ["$: does not match any of the allowed shapes"]);
+    const one = { oneOf: [{ type: "number" }, { type: "integer" }] };
+    assert.deepStrictEqual(validate(1, one), [
+      "$: must match exactly one of the allowed shapes (matches 2)",
+    ]);
+  });
+});
+
+suite("gemini schema", () => {
+  test("drops keywords Gemini rejects", () => {
+    assert.deepStrictEqual(
+      toGeminiSchema({
+        $schema: "https://json-schema.org/draft/2020-12/schema",
+        type: "object",
+        properties: { name: { type: "string", minLength: 1 } },
+        additionalProperties: false,
+      }),
+      { type: "object", properties: { name: { type: "string" } } }
+    );
+  });
+
+  test("folds a type list into one type plus nullable", () => {
+    assert.deepStrictEqual(toGeminiSchema(PERSON.properties.email), { type: "string", nullable: true });
+    assert.deepStrictEqual(
+      toGeminiSchema({ type: "array", items: { type: ["null", "integer"] } }),
+      { type: "array", items: { type: "integer", nullable: true } }
+    );
+    assert.deepStrictEqual(toGeminiSchema({ type: ["number", "string"] }), { type: "number" });
+  });
+});
+
+suite("structured answers", () => {
+  const schema = { type: "object", properties: { answer: { type: "integer" } }, required: ["answer"] };
+
+  test("reads JSON from a fence or surrounding prose", () => {
+    for (const text of [
+      '{"answer": 4}',
+      '```json\n{"answer": 4}\n```',
+      'Sure! Here it is: {"answer": 4} Hope that helps.',
+    ]) {
+      assert.deepStrictEqual(parseStructured(text, schema), { value: { answer: 4 }, valid: true, errors: [] }, text);
+    }
+  });
+
+  test("returns the errors a repair prompt needs", () => {
+    assert.deepStrictEqual(parseStructured('{"answer": "four"}', schema).errors, [
+      "$.answer: expected integer, got string",
+    ]);
+    assert.deepStrictEqual(parseStructured("four", schema), {
+      value: null,
+      valid: false,
+      errors: ["$: the response is not valid JSON"],
+    });
+  });
+});
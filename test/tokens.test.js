@@ -0,0 +1,83 @@
+const assert = require("assert");
+const tokens = require("../route/tokens");
+
+function turns(n, size) {
+  const messages = [];
+  for (let i = 0; i < n; i++) {
+    messages.push({ role: "user", content: `question ${i} ${"q".repeat(size)}` });
+    messages.push({ role: "assistant", content: `answer ${i} ${"a".repeat(size)}` });
+  }
+  return messages;
+}
+
+function file(name, lines) {
+  const content = Array.from({ length: lines }, (_, i) => `line ${i} of ${name}`).join("\n");
+  return { path: `/src/${name}`, label: name, content };
+}
+
+suite("tokens", () => {
+  test("estimates by provider and counts wide characters one each", () => {
+    assert.strictEqual(tokens.estimateTokens("", "gemini"), 0);
+    assert.strictEqual(tokens.estimateTokens("a".repeat(40), "gemini"), 10);
+    assert.strictEqual(tokens.estimateTokens("a".repeat(35), "nvidia"), 10);
+    assert.strictEqual(tokens.estimateTokens("a".repeat(35), "unknown-provider"), 10);
+    assert.strictEqual(tokens.estimateTokens("你好世界", "gemini"), 4);
+  });
+
+  test("messages cost their text, a per-message overhead and their images", () => {
+    const text = tokens.estimateTokens("a".repeat(40), "gemini");
+    const one = tokens.estimateMessagesTokens([{ role: "user", content: "a".repeat(40) }], "gemini");
+    assert.ok(one > text);
+    const withImage = tokens.estimateMessagesTokens(
+      [{ role: "user", content: "a".repeat(40), images: [{}] }],
+      "gemini"
+    );
+    assert.strictEqual(withImage - one, tokens.IMAGE_TOKENS);
+    assert.strictEqual(tokens.estimateMessagesTokens(["a".repeat(40), "a".repeat(40)], "gemini"), 2 * one);
+  });
+
+  test("files that fit are kept as they are", () => {
+    const files = [file("a.js", 10), file("b.js", 10)];
+    const { files: fitted, trimmed } = tokens.fitFiles(files, 100000, "gemini");
+    assert.deepStrictEqual(fitted, files);
+    assert.deepStrictEqual(trimmed, []);
+  });
+
+  test("a file that does not fit is cut at a line break", () => {
+    const big = file("big.js", 2000);
+    const { files: fitted, trimmed } = tokens.fitFiles([big], 2000, "gemini");
+    assert.strictEqual(fitted[0].truncated, true);
+    assert.match(fitted[0].content, /\n… \[truncated to fit the context window: \d+ of 2000 lines kept\]$/);
+    assert.ok(big.content.startsWith(fitted[0].content.replace(/\n….*$/, "")));
+    assert.strictEqual(trimmed[0].status, "truncated");
+    assert.ok(trimmed[0].keptTokens <= 2000);
+  });
+
+  test("a file with too little room left is replaced by a note", () => {
+    const first = file("first.js", 200);
+    const budget = tokens.estimateFileTokens(first, "gemini") + 100;
+    const { files: fitted, trimmed } = tokens.fitFiles([first, file("second.js", 200)], budget, "gemini");
+    assert.strictEqual(fitted[0], first);
+    assert.strictEqual(fitted[1].content, "");
+    assert.ok(fitted[1].omitted);
+    assert.deepStrictEqual(
+      trimmed.map((t) => [t.label, t.status, t.keptTokens]),
+      [["second.js", "omitted", 0]]
+    );
+  });
+
+  test("history loses its oldest turns first", () => {
+    const history = turns(4, 200);
+    const lastTwo = tokens.estimateMessagesTokens(history.slice(4), "gemini");
+    const { messages, droppedTurns } = tokens.fitHistory(history, lastTwo, "gemini");
+    assert.strictEqual(droppedTurns, 2);
+    assert.deepStrictEqual(messages, history.slice(4));
+  });
+
+  test("history that fits is left alone, and no room drops it all", () => {
+    const history = turns(3, 50);
+    assert.deepStrictEqual(tokens.fitHistory(history, 100000, "gemini"), { messages: history, droppedTurns: 0 });
+    assert.deepStrictEqual(tokens.fitHistory(history, -5, "gemini"), { messages: [], droppedTurns: 3 });
+    assert.deepStrictEqual(tokens.fitHistory(undefined, 10, "gemini"), { messages: [], droppedTurns: 0 });
+  });
+});
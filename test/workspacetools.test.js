@@ -0,0 +1,67 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { resolveInWorkspace } = require("../route/workspacetools");
+
+suite("workspace tools: path containment", () => {
+  let base;
+  let root;
+  let secret;
+
+  suiteSetup(() => {
+    base = fs.mkdtempSync(path.join(os.tmpdir(), "vsx-ws-"));
+    root = path.join(base, "workspace");
+    fs.mkdirSync(path.join(root, "src"), { recursive: true });
+    fs.writeFileSync(path.join(root, "src", "index.js"), "module.exports = 1;\n");
+    fs.writeFileSync(path.join(root, "..foo"), "dot-dot name\n");
+    secret = path.join(base, "secret.txt");
+    fs.writeFileSync(secret, "outside\n");
+    fs.symlinkSync(secret, path.join(root, "link-to-secret"));
+    fs.symlinkSync(base, path.join(root, "link-to-parent"), "dir");
+    fs.symlinkSync(path.join(root, "src"), path.join(root, "link-to-src"), "dir");
+  });
+
+  suiteTeardown(() => fs.rmSync(base, { recursive: true, force: true }));
+
+  const outside = (fn) => assert.throws(fn, /outside the workspace/);
+
+  test("resolves files inside the workspace", () => {
+    assert.strictEqual(
+      resolveInWorkspace(root, "src/index.js"),
+      fs.realpathSync(path.join(root, "src", "index.js"))
+    );
+  });
+
+  test("accepts names that merely start with two dots", () => {
+    assert.strictEqual(resolveInWorkspace(root, "..foo"), fs.realpathSync(path.join(root, "..foo")));
+  });
+
+  test("rejects parent and absolute paths", () => {
+    outside(() => resolveInWorkspace(root, "../secret.txt"));
+    outside(() => resolveInWorkspace(root, ".."));
+    outside(() => resolveInWorkspace(root, secret));
+  });
+
+  test("rejects symlinks that point outside", () => {
+    outside(() => resolveInWorkspace(root, "link-to-secret"));
+    outside(() => resolveInWorkspace(root, "link-to-parent/secret.txt"));
+  });
+
+  test("follows symlinks that stay inside", () => {
+    assert.strictEqual(
+      resolveInWorkspace(root, "link-to-src/index.js"),
+      fs.realpathSync(path.join(root, "src", "index.js"))
+    );
+  });
+
+  test("works when the workspace root itself is a symlink", () => {
+    const alias = path.join(base, "alias");
+    fs.symlinkSync(root, alias, "dir");
+    assert.strictEqual(
+      resolveInWorkspace(alias, "src/index.js"),
+      fs.realpathSync(path.join(root, "src", "index.js"))
+    );
+    outside(() => resolveInWorkspace(alias, "link-to-secret"));
+  });
+});
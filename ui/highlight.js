@@ -0,0 +1,537 @@
+/* eslint-env browser */
+// Syntax highlighting for code widgets, self-contained so it works without
+// network access. Each language is a list of sticky-regex rules tried at the
+// current position, plus word lists that classify identifiers. Tokens become
+// <span class="hl-<type>"> around text nodes; the colors live in
+// webview-styles.css and follow the VS Code theme.
+//
+// Token types: comment, string, number, keyword, literal, type, function,
+// attr, tag, meta, variable, section, inserted, deleted.
+(function(){
+  const words = (list) => new Set(list.split(' '));
+
+  const LINE_COMMENT = { type: 'comment', pattern: /\/\/.*/y };
+  const HASH_COMMENT = { type: 'comment', pattern: /#.*/y };
+  const BLOCK_COMMENT = { type: 'comment', pattern: /\/\*[\s\S]*?(?:\*\/|$)/y };
+  const DOUBLE_QUOTED = { type: 'string', pattern: /"(?:\\[\s\S]|[^"\\\n])*"?/y };
+  const SINGLE_QUOTED = { type: 'string', pattern: /'(?:\\[\s\S]|[^'\\\n])*'?/y };
+  const BACKTICK = { type: 'string', pattern: /`(?:\\[\s\S]|[^`\\])*`?/y };
+  const NUMBER = {
+    type: 'number',
+    pattern: /(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|(?:\d[\d_]*(?:\.[\d_]*)?|\.\d[\d_]*)(?:[eE][+-]?\d+)?)[a-zA-Z]*/y,
+  };
+  const ANNOTATION = { type: 'meta', pattern: /@[A-Za-z_][\w.]*/y };
+
+  // Braces-and-semicolons languages share comments, strings and numbers.
+  function cLike(def) {
+    return Object.assign({
+      rules: [LINE_COMMENT, BLOCK_COMMENT, DOUBLE_QUOTED, SINGLE_QUOTED, NUMBER].concat(def.extraRules || []),
+      capitalizedTypes: true,
+    }, def);
+  }
+
+  const JS_KEYWORDS = 'break case catch class const continue debugger default delete do else export extends finally for from function get if import in instanceof let new of return set static super switch throw try typeof var void while with yield async await';
+  const JS_DETECT = [
+    [/\b(?:const|let|var)\s+[\w$]+\s*=/, 2],
+    [/=>/, 1],
+    [/\bfunction\s*[\w$]*\s*\(/, 2],
+    [/\brequire\(['"]|\bmodule\.exports\b|\bimport\s+.+\s+from\s+['"]/, 3],
+    [/\bconsole\.\w+\(/, 3],
+    [/===|!==/, 2],
+    [/\b(?:document|window)\./, 2],
+  ];
+  const C_KEYWORDS = 'auto break case char const continue default do double else enum extern float for goto if inline int long register restrict return short signed sizeof static struct switch typedef union unsigned void volatile while';
+  const PREPROCESSOR = { type: 'meta', pattern: /^[ \t]*#[ \t]*\w+.*/my };
+
+  const markup = {
+    rules: [
+      { type: 'comment', pattern: /<!--[\s\S]*?(?:-->|$)/y },
+      { type: 'meta', pattern: /<![A-Za-z][^>]*>?|<\?[\s\S]*?(?:\?>|$)/y },
+      {
+        pattern: /<\/?[A-Za-z][\w:.-]*(?:\s+(?:[^<>"']|"[^"]*"|'[^']*')*)?\/?>?/y,
+        inside: {
+          rules: [
+            { type: 'tag', pattern: /<\/?[\w:.-]+|\/?>/y },
+            { type: 'string', pattern: /"[^"]*"?|'[^']*'?/y },
+            { type: 'attr', pattern: /[^\s"'<>/=]+/y },
+          ],
+        },
+      },
+      { type: 'literal', pattern: /&(?:#\d+|#x[\da-fA-F]+|\w+);/y },
+    ],
+    word: null,
+  };
+
+  const LANGUAGES = {
+    javascript: cLike({
+      aliases: 'js jsx mjs cjs node',
+      extraRules: [BACKTICK],
+      keywords: words(JS_KEYWORDS),
+      literals: words('true false null undefined NaN Infinity this'),
+      builtins: words('console window document Math JSON Promise Object Array String Number Boolean Map Set Error RegExp Date module exports process'),
+      detect: JS_DETECT,
+    }),
+    typescript: cLike({
+      aliases: 'ts tsx mts cts',
+      extraRules: [BACKTICK, ANNOTATION],
+      keywords: words(JS_KEYWORDS + ' interface type enum implements private protected public readonly abstract declare namespace keyof infer as is satisfies'),
+      literals: words('true false null undefined NaN Infinity this'),
+      builtins: words('string number boolean any unknown never void object bigint symbol console Promise Array Record Partial'),
+      detect: JS_DETECT.concat([
+        [/\b(?:const|let|var)\s+[\w$]+\s*:\s*[\w$<[\]|]+\s*=/, 3],
+        [/\)\s*:\s*(?:string|number|boolean|void|any|unknown|Promise<)/, 3],
+        [/\binterface\s+\w+\s*(?:extends\s+[\w, ]+)?\{/, 3],
+        [/\btype\s+\w+(?:<[^>]*>)?\s*=/, 2],
+        [/\b(?:private|public|protected|readonly)\s+\w+\s*[:(]/, 2],
+      ]),
+    }),
+    json: {
+      aliases: 'jsonc json5',
+      rules: [
+        LINE_COMMENT,
+        BLOCK_COMMENT,
+        { type: 'attr', pattern: /"(?:\\.|[^"\\\n])*"(?=\s*:)/y },
+        DOUBLE_QUOTED,
+        { type: 'number', pattern: /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y },
+      ],
+      literals: words('true false null'),
+    },
+    python: {
+      aliases: 'py python3 py3 gyp',
+      rules: [
+        HASH_COMMENT,
+        { type: 'string', pattern: /[rRbBuUfF]{0,2}("""|''')[\s\S]*?(?:\1|$)/y },
+        { type: 'string', pattern: /[rRbBuUfF]{1,2}(?:"(?:\\.|[^"\\\n])*"?|'(?:\\.|[^'\\\n])*'?)/y },
+        DOUBLE_QUOTED,
+        SINGLE_QUOTED,
+        ANNOTATION,
+        NUMBER,
+      ],
+      keywords: words('and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield match case'),
+      literals: words('True False None self cls'),
+      builtins: words('print len range dict list set tuple str int float bool bytes open super isinstance enumerate zip map filter sorted sum min max type object Exception'),
+      capitalizedTypes: true,
+      detect: [
+        [/^[ \t]*def\s+\w+\s*\(.*\)\s*(?:->\s*[^:]+)?:\s*$/m, 4],
+        [/^[ \t]*import\s+[\w.]+(?:\s+as\s+\w+)?\s*$/m, 2],
+        [/^[ \t]*from\s+[\w.]+\s+import\s/m, 3],
+        [/\bself\b/, 2],
+        [/^[ \t]*(?:if|elif|for|while|with|class|try|except)\b.*:\s*$/m, 2],
+        [/\bprint\(/, 1],
+        [/\b(?:None|True|False)\b/, 1],
+        [/"""|'''/, 2],
+      ],
+    },
+    bash: {
+      aliases: 'sh shell zsh console shellsession',
+      rules: [
+        { type: 'comment', pattern: /(?<=^|\s)#.*/my },
+        DOUBLE_QUOTED,
+        { type: 'string', pattern: /'[^']*'?/y },
+        { type: 'variable', pattern: /\$(?:\{[^}\n]*\}?|\w+|[@*#?$!0-9-])/y },
+        { type: 'attr', pattern: /(?<=\s)--?[A-Za-z][\w-]*/y },
+        NUMBER,
+      ],
+      word: /[A-Za-z_][\w-]*/y,
+      keywords: words('if then else elif fi case esac for select while until do done in function time return exit export local readonly declare unset shift source alias'),
+      builtins: words('echo cd printf read test set eval exec trap pwd ls grep sed awk cat mkdir rm cp mv curl wget git npm npx yarn pnpm node python python3 pip pip3 sudo chmod chown docker kubectl make cargo go brew apt apt-get touch tar find xargs'),
+      builtinType: 'function',
+      detect: [
+        [/^#!.*\b(?:ba|z)?sh\b/, 5],
+        [/^[ \t]*(?:\$\s+)?(?:sudo|apt(?:-get)?|npm|npx|yarn|pnpm|pip3?|git|cd|ls|mkdir|rm|cp|mv|curl|wget|brew|docker|kubectl|echo|export|chmod|node|cargo|make)\s/m, 3],
+        [/^[ \t]*(?:fi|done|esac)\s*$/m, 3],
+        [/\$\{\w+\}|\$\w+/, 1],
+        [/\s--?[a-z][\w-]*/, 1],
+      ],
+    },
+    html: Object.assign({
+      aliases: 'htm xhtml vue svelte',
+      detect: [
+        [/<!DOCTYPE\s+html/i, 6],
+        [/<\/?(?:html|head|body|div|span|p|a|ul|ol|li|script|style|meta|link|button|input|form|table|tr|td|img|section|header|footer|template|main|nav)\b[^>]*>/i, 4],
+      ],
+    }, markup),
+    xml: Object.assign({
+      aliases: 'svg plist xsd xsl rss atom',
+      detect: [[/^\s*<\?xml\b/, 6], [/<\/[\w:-]+>/, 1]],
+    }, markup),
+    css: {
+      aliases: 'scss sass less',
+      rules: [
+        BLOCK_COMMENT,
+        LINE_COMMENT,
+        DOUBLE_QUOTED,
+        SINGLE_QUOTED,
+        { type: 'keyword', pattern: /@[\w-]+|!important\b/y },
+        { type: 'number', pattern: /#[\da-fA-F]{3,8}(?![\w-])/y },
+        { type: 'number', pattern: /-?(?:\d+\.?\d*|\.\d+)(?:%|[a-zA-Z]+)?/y },
+        { type: 'type', pattern: /[.#][A-Za-z_-][\w-]*/y },
+        { type: 'attr', pattern: /-{0,2}[A-Za-z][\w-]*(?=\s*:(?!:))/y },
+        { type: 'variable', pattern: /\$[\w-]+|--[\w-]+/y },
+      ],
+      word: /[A-Za-z_-][\w-]*/y,
+      detect: [
+        [/^[ \t]*[.#]?[\w-]+(?:\s*[,>+~ ]\s*[.#]?[\w-]+)*\s*\{/m, 2],
+        [/^[ \t]*[\w-]+\s*:\s*[^;{}]+;\s*$/m, 3],
+        [/@(?:media|import|keyframes|font-face)\b/, 3],
+      ],
+    },
+    java: cLike({
+      aliases: 'jsp',
+      extraRules: [ANNOTATION],
+      keywords: words('abstract assert break case catch class continue default do else enum extends final finally for if implements import instanceof interface native new package private protected public return static strictfp super switch synchronized throw throws transient try volatile while var record yield sealed permits'),
+      literals: words('true false null this'),
+      builtins: words('boolean byte char double float int long short void'),
+      detect: [
+        [/\bpublic\s+(?:static\s+)?(?:final\s+)?(?:class|void|interface)\b/, 4],
+        [/System\.out\.print/, 4],
+        [/^[ \t]*import\s+java\./m, 4],
+        [/^[ \t]*package\s+[\w.]+;/m, 3],
+        [/@Override\b/, 3],
+        [/\bString\[\]/, 2],
+      ],
+    }),
+    kotlin: cLike({
+      aliases: 'kt kts',
+      extraRules: [ANNOTATION],
+      keywords: words('fun val var when is in object companion data class interface sealed override open private public internal protected return if else for while do try catch finally throw import package as typealias suspend lateinit init by enum'),
+      literals: words('true false null this it'),
+      builtins: words('Int Long Double Float Boolean String Unit Any List Map Set println listOf mapOf setOf'),
+      detect: [
+        [/\bfun\s+(?:<[^>]*>\s*)?[\w.]+\s*\(/, 3],
+        [/\bval\s+\w+\s*[:=]/, 2],
+        [/\bwhen\s*\(/, 1],
+        [/\bdata\s+class\b/, 3],
+      ],
+    }),
+    go: cLike({
+      aliases: 'golang',
+      extraRules: [BACKTICK],
+      keywords: words('break case chan const continue default defer else fallthrough for func go goto if import interface map package range return select struct switch type var'),
+      literals: words('true false nil iota'),
+      builtins: words('bool byte complex64 complex128 error float32 float64 int int8 int16 int32 int64 rune string uint uint8 uint16 uint32 uint64 uintptr any append cap close copy delete len make new panic print println recover'),
+      capitalizedTypes: false,
+      detect: [
+        [/^[ \t]*package\s+\w+\s*$/m, 3],
+        [/\bfunc\s+(?:\(\s*\w+\s+\*?\w+\s*\)\s*)?\w+\s*\(/, 4],
+        [/:=/, 2],
+        [/\bfmt\.\w+\(/, 4],
+        [/\berr\s*!=\s*nil\b/, 4],
+      ],
+    }),
+    rust: cLike({
+      aliases: 'rs',
+      rules: [
+        LINE_COMMENT,
+        BLOCK_COMMENT,
+        { type: 'string', pattern: /b?r#*"[\s\S]*?(?:"#*|$)/y },
+        DOUBLE_QUOTED,
+        // a char literal; a lifetime such as 'a has no closing quote
+        { type: 'string', pattern: /b?'(?:\\.|[^'\\\n])'/y },
+        { type: 'meta', pattern: /#!?\[[^\]\n]*\]?/y },
+        { type: 'function', pattern: /[a-z_]\w*!(?=\s*[([{])/y },
+        NUMBER,
+      ],
+      keywords: words('as async await break const continue crate dyn else enum extern fn for if impl in let loop match mod move mut pub ref return static struct super trait type unsafe use where while'),
+      literals: words('true false self Self None Some Ok Err'),
+      builtins: words('i8 i16 i32 i64 i128 isize u8 u16 u32 u64 u128 usize f32 f64 bool char str'),
+      detect: [
+        [/\bfn\s+\w+\s*[<(]/, 4],
+        [/\blet\s+mut\b/, 4],
+        [/\bimpl\b(?:<[^>]*>)?\s+\w+/, 2],
+        [/\b\w+!\(/, 2],
+        [/\buse\s+(?:std|crate|super)::/, 4],
+        [/&(?:mut\s+)?self\b/, 3],
+      ],
+    }),
+    c: cLike({
+      aliases: 'h',
+      extraRules: [PREPROCESSOR],
+      keywords: words(C_KEYWORDS),
+      literals: words('NULL true false'),
+      builtins: words('size_t bool FILE uint8_t uint16_t uint32_t uint64_t int8_t int16_t int32_t int64_t'),
+      capitalizedTypes: false,
+      detect: [
+        [/#include\s*<\w+\.h>/, 4],
+        [/\bint\s+main\s*\(/, 3],
+        [/\bprintf\s*\(/, 2],
+        [/\bmalloc\s*\(|\bsizeof\s*\(/, 2],
+      ],
+    }),
+    cpp: cLike({
+      aliases: 'c++ cc cxx hpp hh hxx',
+      extraRules: [PREPROCESSOR],
+      keywords: words(C_KEYWORDS + ' alignas alignof bool catch class constexpr const_cast decltype delete dynamic_cast explicit export friend mutable namespace new noexcept operator private protected public reinterpret_cast static_assert static_cast template thread_local throw try typeid typename using virtual override final concept requires co_await co_return co_yield'),
+      literals: words('true false nullptr this NULL'),
+      builtins: words('std string vector map unordered_map set unique_ptr shared_ptr size_t cout cin endl'),
+      detect: [
+        [/#include\s*<(?:iostream|vector|string|map|memory|algorithm|unordered_map)>/, 5],
+        [/\bstd::/, 4],
+        [/\bc(?:out|err)\s*<</, 4],
+        [/\btemplate\s*</, 3],
+        [/\bnamespace\s+\w+\s*\{/, 1],
+      ],
+    }),
+    csharp: cLike({
+      aliases: 'cs c#',
+      extraRules: [{ type: 'string', pattern: /[$@]{1,2}"(?:""|\\.|[^"\\])*"?/y }, PREPROCESSOR],
+      keywords: words('abstract as base break case catch checked class const continue default delegate do else enum event explicit extern finally fixed for foreach goto if implicit in interface internal is lock namespace new operator out override params private protected public readonly ref return sealed sizeof stackalloc static struct switch throw try typeof unchecked unsafe using virtual volatile while async await var record get set init when where yield'),
+      literals: words('true false null this'),
+      builtins: words('bool byte char decimal double float int long object sbyte short string uint ulong ushort void dynamic'),
+      detect: [
+        [/\busing\s+System(?:\.[\w.]+)?;/, 5],
+        [/\bnamespace\s+[\w.]+\s*[{;]/, 2],
+        [/\bConsole\.Write/, 4],
+        [/\{\s*get;\s*(?:(?:private\s+)?set;|init;)?\s*\}/, 4],
+        [/\bpublic\s+(?:async\s+)?(?:Task|void|string|int|bool)\b[^=]*\(/, 1],
+      ],
+    }),
+    php: cLike({
+      aliases: 'php8',
+      extraRules: [
+        HASH_COMMENT,
+        { type: 'meta', pattern: /<\?(?:php|=)?|\?>/y },
+        { type: 'variable', pattern: /\$\w+/y },
+      ],
+      keywords: words('abstract and array as break callable case catch class clone const continue declare default do echo else elseif empty extends final finally fn for foreach function global goto if implements include include_once instanceof insteadof interface isset list match namespace new or print private protected public readonly require require_once return static switch throw trait try unset use var while yield'),
+      literals: words('true false null TRUE FALSE NULL'),
+      detect: [[/<\?php/, 6], [/\$\w+\s*=/, 2], [/\bfunction\s+\w+\s*\(\s*(?:\??\w+\s+)?\$/, 3], [/\$this->/, 3]],
+    }),
+    ruby: {
+      aliases: 'rb gemspec rake',
+      rules: [
+        HASH_COMMENT,
+        DOUBLE_QUOTED,
+        SINGLE_QUOTED,
+        { type: 'literal', pattern: /:[A-Za-z_]\w*[?!]?(?!:)/y },
+        { type: 'variable', pattern: /@{1,2}\w+|\$\w+/y },
+        NUMBER,
+      ],
+      word: /[A-Za-z_]\w*[?!]?/y,
+      keywords: words('BEGIN END alias and begin break case class def defined? do else elsif end ensure for if in module next not or redo rescue retry return super then undef unless until when while yield'),
+      literals: words('true false nil self'),
+      builtins: words('puts print require require_relative attr_accessor attr_reader attr_writer include extend raise lambda proc'),
+      builtinType: 'function',
+      capitalizedTypes: true,
+      detect: [
+        [/^[ \t]*def\s+(?:self\.)?\w+[?!]?(?:\(.*\))?\s*$/m, 3],
+        [/^[ \t]*end\s*$/m, 2],
+        [/\bputs\s/, 2],
+        [/\brequire(?:_relative)?\s+['"]/, 2],
+        [/\battr_(?:reader|writer|accessor)\b/, 4],
+        [/\bdo\s*\|[\w, ]+\|/, 4],
+      ],
+    },
+    sql: {
+      aliases: 'mysql postgresql postgres psql sqlite plsql tsql',
+      rules: [
+        { type: 'comment', pattern: /--.*/y },
+        BLOCK_COMMENT,
+        { type: 'string', pattern: /'(?:''|[^'])*'?/y },
+        { type: 'attr', pattern: /"(?:""|[^"])*"?|`[^`]*`?/y },
+        { type: 'variable', pattern: /[@:$][\w]+/y },
+        NUMBER,
+      ],
+      caseInsensitive: true,
+      keywords: words('select from where insert into values update set delete create table alter drop index view join inner left right outer full cross on as and or not is in exists between like ilike group by order having limit offset union all distinct case when then else end primary key foreign references default constraint unique check with returning asc desc if begin commit rollback transaction grant revoke truncate replace over partition window cascade'),
+      literals: words('true false null'),
+      builtins: words('int integer bigint smallint varchar char text boolean bool date time timestamp timestamptz numeric decimal serial bigserial float real double uuid json jsonb blob count sum avg min max coalesce now'),
+      detect: [
+        [/\bselect\b[\s\S]+?\bfrom\b/i, 4],
+        [/\binsert\s+into\b/i, 4],
+        [/\bcreate\s+(?:table|index|view|unique\s+index)\b/i, 4],
+        [/\bupdate\s+\w+\s+set\b/i, 4],
+        [/\bwhere\b/i, 1],
+      ],
+    },
+    yaml: {
+      aliases: 'yml',
+      rules: [
+        { type: 'comment', pattern: /(?<=^|\s)#.*/my },
+        { type: 'meta', pattern: /^(?:---|\.\.\.)(?=\s|$)/my },
+        { type: 'attr', pattern: /(?<=^[ \t]*(?:-[ \t]+)?)[^\s#:'"{}[\],&*!|>-][^\n:#]*?(?=:(?:\s|$))/my },
+        DOUBLE_QUOTED,
+        SINGLE_QUOTED,
+        { type: 'variable', pattern: /[&*][\w-]+/y },
+        { type: 'meta', pattern: /!{1,2}[\w/-]*/y },
+        { type: 'number', pattern: /(?<![\w.-])[-+]?(?:\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?|\.inf|\.nan)(?![\w.-])/y },
+      ],
+      word: /[A-Za-z_~][\w-]*/y,
+      literals: words('true false null yes no on off True False Null TRUE FALSE NULL ~'),
+      detect: [
+        [/^[ \t]*[\w.-]+:\s+\S/m, 1],
+        [/^[ \t]*-\s+[\w.-]+:\s/m, 2],
+        [/^---\s*$/m, 2],
+        [/^(?:apiVersion|kind|services|steps|jobs|on|runs-on|version|dependencies):/m, 3],
+      ],
+    },
+    toml: {
+      aliases: 'ini cfg conf properties editorconfig',
+      rules: [
+        { type: 'comment', pattern: /(?<=^|\s)[#;].*/my },
+        { type: 'section', pattern: /^[ \t]*\[\[?[^\]\n]*\]\]?/my },
+        { type: 'attr', pattern: /^[ \t]*[\w.-]+(?=[ \t]*=)/my },
+        { type: 'string', pattern: /"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$)/y },
+        DOUBLE_QUOTED,
+        SINGLE_QUOTED,
+        { type: 'number', pattern: /(?<![\w.-])[-+]?\d[\d_:.TZ+-]*(?![\w])/y },
+      ],
+      literals: words('true false'),
+      detect: [[/^[ \t]*\[[\w."-]+\]\s*$/m, 3], [/^[ \t]*[\w.-]+[ \t]*=[ \t]*(?:"|'|\d|true|false|\[)/m, 2]],
+    },
+    markdown: {
+      aliases: 'md mkd mdx',
+      rules: [
+        { type: 'section', pattern: /^#{1,6}[ \t].*/my },
+        { type: 'meta', pattern: /^[ \t]*(?:```|~~~).*/my },
+        { type: 'comment', pattern: /^[ \t]*>.*/my },
+        { type: 'keyword', pattern: /^[ \t]*(?:[-*+]|\d+[.)])(?=[ \t])/my },
+        { type: 'string', pattern: /`[^`\n]+`/y },
+        { type: 'keyword', pattern: /\*\*[^*\n]+\*\*|__[^_\n]+__/y },
+        { type: 'type', pattern: /\*[^*\n]+\*|_[^_\n]+_/y },
+        { type: 'attr', pattern: /!?\[[^[\]\n]*\]\([^)\n]*\)/y },
+      ],
+      word: null,
+      detect: [[/^#{1,6}\s+\S/m, 2], [/^\s*[-*]\s+\S/m, 1], [/\[[^\]\n]+\]\([^)\n]+\)/, 2], [/^```/m, 3]],
+    },
+    diff: {
+      aliases: 'patch',
+      rules: [
+        { type: 'meta', pattern: /^(?:diff|index|\+\+\+|---)(?: .*|$)/my },
+        { type: 'section', pattern: /^@@.*/my },
+        { type: 'inserted', pattern: /^[+>].*/my },
+        { type: 'deleted', pattern: /^[-<].*/my },
+      ],
+      word: null,
+      detect: [[/^@@\s+-\d+(?:,\d+)?\s+\+\d+/m, 6], [/^(?:\+\+\+|---)\s+(?:a|b)\//m, 5], [/^diff --git/m, 6]],
+    },
+    dockerfile: {
+      aliases: 'docker containerfile',
+      rules: [
+        { type: 'comment', pattern: /^[ \t]*#.*/my },
+        { type: 'keyword', pattern: /^[ \t]*(?:FROM|RUN|CMD|LABEL|EXPOSE|ENV|ADD|COPY|ENTRYPOINT|VOLUME|USER|WORKDIR|ARG|ONBUILD|STOPSIGNAL|HEALTHCHECK|SHELL|MAINTAINER)\b/imy },
+        { type: 'keyword', pattern: /\bAS\b/y },
+        DOUBLE_QUOTED,
+        SINGLE_QUOTED,
+        { type: 'variable', pattern: /\$(?:\{[^}\n]*\}?|\w+)/y },
+        { type: 'attr', pattern: /(?<=\s)--[\w-]+/y },
+      ],
+      word: null,
+      detect: [[/^[ \t]*FROM\s+\S+/m, 4], [/^[ \t]*(?:RUN|COPY|WORKDIR|ENTRYPOINT|CMD|EXPOSE)\s/m, 3]],
+    },
+  };
+
+  // Fence names that mean "no highlighting" rather than "unknown"
+  const PLAIN = words('text txt plain plaintext output log none nohighlight');
+  const DEFAULT_WORD = /[A-Za-z_$][\w$]*/y;
+  const CALL_AFTER = /\s*\(/y;
+
+  const byAlias = new Map();
+  for (const [id, lang] of Object.entries(LANGUAGES)) {
+    byAlias.set(id, id);
+    for (const alias of (lang.aliases || '').split(' ').filter(Boolean)) byAlias.set(alias, id);
+  }
+
+  // Language id for a fence name: a LANGUAGES key, 'plaintext' for names
+  // that opt out, or null when the name is missing or unknown.
+  function resolve(name) {
+    const key = String(name || '').trim().toLowerCase();
+    if (!key) return null;
+    if (PLAIN.has(key)) return 'plaintext';
+    return byAlias.get(key) || null;
+  }
+
+  // Best-scoring language for unlabeled code, or null when nothing scores
+  // high enough to be worth coloring.
+  function detect(code) {
+    const text = String(code || '');
+    if (!text.trim()) return null;
+    if (/^\s*[{[]/.test(text)) {
+      try {
+        JSON.parse(text);
+        return 'json';
+      } catch { /* not JSON */ }
+    }
+    let best = null;
+    let bestScore = 0;
+    for (const [id, lang] of Object.entries(LANGUAGES)) {
+      let score = 0;
+      for (const [pattern, weight] of lang.detect || []) if (pattern.test(text)) score += weight;
+      if (score > bestScore) {
+        best = id;
+        bestScore = score;
+      }
+    }
+    return bestScore >= 3 ? best : null;
+  }
+
+  function classifyWord(word, lang, code, end) {
+    const key = lang.caseInsensitive ? word.toLowerCase() : word;
+    if (lang.keywords && lang.keywords.has(key)) return 'keyword';
+    if (lang.literals && lang.literals.has(key)) return 'literal';
+    if (lang.builtins && lang.builtins.has(key)) return lang.builtinType || 'type';
+    CALL_AFTER.lastIndex = end;
+    if (CALL_AFTER.test(code)) return 'function';
+    if (lang.capitalizedTypes && /^[A-Z][a-z]/.test(word)) return 'type';
+    return null;
+  }
+
+  // [{ type, text }] with type null for uncolored text
+  function tokenize(code, lang) {
+    const tokens = [];
+    const push = (type, text) => {
+      const last = tokens[tokens.length - 1];
+      if (last && last.type === type) last.text += text;
+      else tokens.push({ type, text });
+    };
+    const word = lang.word === undefined ? DEFAULT_WORD : lang.word;
+    let pos = 0;
+    scan: while (pos < code.length) {
+      for (const rule of lang.rules) {
+        rule.pattern.lastIndex = pos;
+        const m = rule.pattern.exec(code);
+        if (!m || !m[0]) continue;
+        if (rule.inside) tokenize(m[0], rule.inside).forEach((t) => push(t.type, t.text));
+        else push(rule.type, m[0]);
+        pos += m[0].length;
+        continue scan;
+      }
+      if (word) {
+        word.lastIndex = pos;
+        const m = word.exec(code);
+        if (m && m[0]) {
+          push(classifyWord(m[0], lang, code, pos + m[0].length), m[0]);
+          pos += m[0].length;
+          continue;
+        }
+      }
+      push(null, code[pos]);
+      pos++;
+    }
+    return tokens;
+  }
+
+  // Replaces the contents of `codeEl` with the highlighted code. Unknown
+  // languages leave the code as plain text.
+  function highlight(codeEl, code, languageId) {
+    const lang = LANGUAGES[languageId];
+    codeEl.textContent = '';
+    if (!lang) {
+      codeEl.textContent = code;
+      return;
+    }
+    for (const token of tokenize(String(code), lang)) {
+      if (!token.type) {
+        codeEl.appendChild(document.createTextNode(token.text));
+        continue;
+      }
+      const span = document.createElement('span');
+      span.className = 'hl-' + token.type;
+      span.textContent = token.text;
+      codeEl.appendChild(span);
+    }
+    codeEl.classList.add('language-' + languageId);
+  }
+
+  window.highlighter = { resolve, detect, highlight, languages: Object.keys(LANGUAGES) };
+})();
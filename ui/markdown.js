@@ -0,0 +1,576 @@
+/* eslint-env browser */
+// Markdown for chat messages: CommonMark blocks (headings, paragraphs, lists,
+// blockquotes, fenced and indented code, rules) plus the GitHub extras models
+// use (tables, task lists, strikethrough, bare links). Output is built from
+// DOM nodes and text nodes only; raw HTML in the source is shown as text, and
+// links keep only http(s), mailto and in-page targets.
+//
+// render() is meant to be called again with the longer text on every streamed
+// delta. Top-level blocks whose source did not change keep their DOM nodes,
+// so only the block still being written is rebuilt.
+(function(){
+  const FENCE = /^( {0,3})(`{3,}|~{3,})[ \t]*([^\s`]*)[^`]*$/;
+  const ATX_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+  const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/;
+  const RULE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+  const QUOTE = /^ {0,3}> ?(.*)$/;
+  const LIST_ITEM = /^( {0,3})([-+*]|\d{1,9}[.)])(?:([ \t]+)(.*))?$/;
+  const TABLE_DELIMITER = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+  const INDENTED_CODE = /^(?: {4}|\t)/;
+  const ESCAPABLE = /[!-/:-@[-`{-~]/;
+  const SAFE_URL = /^(?:https?:|mailto:|#)/i;
+  const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: '\u00a0' };
+
+  function isBlank(line) {
+    return !line || !line.trim();
+  }
+
+  // Columns of leading whitespace, tabs stopping at multiples of four
+  function indentOf(line) {
+    let col = 0;
+    for (const ch of line) {
+      if (ch === ' ') col++;
+      else if (ch === '\t') col += 4 - (col % 4);
+      else break;
+    }
+    return col;
+  }
+
+  function stripIndent(line, columns) {
+    let col = 0;
+    let i = 0;
+    while (i < line.length && col < columns && (line[i] === ' ' || line[i] === '\t')) {
+      col += line[i] === '\t' ? 4 - (col % 4) : 1;
+      i++;
+    }
+    // a tab that reached past the cut leaves its remainder as spaces
+    return ' '.repeat(Math.max(0, col - columns)) + line.slice(i);
+  }
+
+  // Lines that end a paragraph without a blank line in between
+  function interruptsParagraph(line) {
+    if (FENCE.test(line) || ATX_HEADING.test(line) || RULE.test(line) || QUOTE.test(line)) return true;
+    const item = LIST_ITEM.exec(line);
+    return !!(item && item[4] && item[4].trim() && (!/\d/.test(item[2]) || parseInt(item[2], 10) === 1));
+  }
+
+  function splitTableRow(line) {
+    let row = line.trim();
+    if (row.startsWith('|')) row = row.slice(1);
+    if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+    const cells = [];
+    let cell = '';
+    // pipes inside `code` belong to the cell
+    let inCode = false;
+    for (let i = 0; i < row.length; i++) {
+      if (row[i] === '\\' && row[i + 1] === '|') { cell += '|'; i++; continue; }
+      if (row[i] === '`') inCode = !inCode;
+      if (row[i] === '|' && !inCode) { cells.push(cell.trim()); cell = ''; }
+      else cell += row[i];
+    }
+    cells.push(cell.trim());
+    return cells;
+  }
+
+  // --- block structure -------------------------------------------------------
+
+  // Cuts lines into blocks: { type, src, ... }. src is the block's source and
+  // identifies it between renders.
+  function parseBlocks(lines) {
+    const blocks = [];
+    let i = 0;
+    while (i < lines.length) {
+      const line = lines[i];
+      if (isBlank(line)) { i++; continue; }
+      const start = i;
+      let block;
+
+      const fence = FENCE.exec(line);
+      const heading = ATX_HEADING.exec(line);
+      if (fence) {
+        const marker = fence[2];
+        const code = [];
+        let closed = false;
+        i++;
+        while (i < lines.length) {
+          const close = lines[i].trim();
+          if (close[0] === marker[0] && close.length >= marker.length && /^(`+|~+)$/.test(close) && indentOf(lines[i]) < 4) {
+            closed = true;
+            i++;
+            break;
+          }
+          code.push(stripIndent(lines[i], fence[1].length));
+          i++;
+        }
+        block = { type: 'code', lang: fence[3], code: code.join('\n'), closed };
+      } else if (heading) {
+        block = { type: 'heading', level: heading[1].length, text: heading[2] || '' };
+        i++;
+      } else if (RULE.test(line)) {
+        block = { type: 'rule' };
+        i++;
+      } else if (QUOTE.test(line)) {
+        const inner = [];
+        while (i < lines.length && !isBlank(lines[i])) {
+          const quoted = QUOTE.exec(lines[i]);
+          // lines without '>' continue a quoted paragraph
+          if (!quoted && interruptsParagraph(lines[i])) break;
+          inner.push(quoted ? quoted[1] : lines[i]);
+          i++;
+        }
+        block = { type: 'quote', lines: inner };
+      } else if (LIST_ITEM.test(line)) {
+        block = readList(lines, i);
+        i = block.end;
+      } else if (INDENTED_CODE.test(line)) {
+        const code = [];
+        while (i < lines.length && (isBlank(lines[i]) || indentOf(lines[i]) >= 4)) {
+          code.push(stripIndent(lines[i], 4));
+          i++;
+        }
+        while (code.length && isBlank(code[code.length - 1])) code.pop();
+        block = { type: 'code', lang: '', code: code.join('\n'), closed: true };
+      } else if (line.includes('|') && i + 1 < lines.length && lines[i + 1].includes('|') && TABLE_DELIMITER.test(lines[i + 1]) &&
+                 splitTableRow(lines[i + 1]).length === splitTableRow(line).length) {
+        const align = splitTableRow(lines[i + 1]).map((cell) => {
+          if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+          if (cell.endsWith(':')) return 'right';
+          return cell.startsWith(':') ? 'left' : '';
+        });
+        const header = splitTableRow(line);
+        const rows = [];
+        i += 2;
+        while (i < lines.length && !isBlank(lines[i]) && !interruptsParagraph(lines[i])) {
+          rows.push(splitTableRow(lines[i]));
+          i++;
+        }
+        block = { type: 'table', header, align, rows };
+      } else {
+        const text = [line];
+        i++;
+        block = null;
+        while (i < lines.length && !isBlank(lines[i])) {
+          const underline = SETEXT_UNDERLINE.exec(lines[i]);
+          if (underline) {
+            block = { type: 'heading', level: underline[1][0] === '=' ? 1 : 2, text: text.join('\n') };
+            i++;
+            break;
+          }
+          if (interruptsParagraph(lines[i])) break;
+          text.push(lines[i]);
+          i++;
+        }
+        if (!block) block = { type: 'paragraph', text: text.join('\n') };
+      }
+
+      block.src = lines.slice(start, i).join('\n');
+      blocks.push(block);
+    }
+    return blocks;
+  }
+
+  // A run of items with the same kind of marker. Item content is unindented
+  // by the marker width and parsed again as blocks; a blank line between items
+  // or between an item's blocks makes the list loose (paragraphs kept).
+  function readList(lines, i) {
+    const first = LIST_ITEM.exec(lines[i]);
+    const ordered = /\d/.test(first[2]);
+    const marker = first[2].slice(-1);
+    const list = { type: 'list', ordered, start: ordered ? parseInt(first[2], 10) : 1, items: [], loose: false };
+    let blankBefore = false;
+
+    while (i < lines.length) {
+      const item = LIST_ITEM.exec(lines[i]);
+      if (!item || RULE.test(lines[i]) || /\d/.test(item[2]) !== ordered || item[2].slice(-1) !== marker) break;
+      if (blankBefore && list.items.length) list.loose = true;
+
+      const gap = item[3] || ' ';
+      // content five or more columns past the marker is indented code
+      const codeStart = indentOf(gap) > 4;
+      const contentIndent = item[1].length + item[2].length + (codeStart ? 1 : indentOf(gap));
+      const content = [(codeStart ? stripIndent(gap, 1) : '') + (item[4] || '')];
+      i++;
+
+      let blank = false;
+      while (i < lines.length) {
+        const line = lines[i];
+        if (isBlank(line)) {
+          content.push('');
+          blank = true;
+          i++;
+          continue;
+        }
+        if (indentOf(line) >= contentIndent) {
+          if (blank && indentOf(line) === contentIndent && !LIST_ITEM.test(stripIndent(line, contentIndent))) list.loose = true;
+          content.push(stripIndent(line, contentIndent));
+          blank = false;
+          i++;
+          continue;
+        }
+        // anything less indented ends the item, except paragraph text
+        // continuing without indentation
+        if (blank || LIST_ITEM.test(line) || interruptsParagraph(line)) break;
+        content.push(line);
+        i++;
+      }
+      blankBefore = false;
+      while (content.length > 1 && isBlank(content[content.length - 1])) {
+        content.pop();
+        blankBefore = true;
+      }
+
+      const task = /^\[([ xX])\](?:[ \t]+|$)/.exec(content[0]);
+      if (task) content[0] = content[0].slice(task[0].length);
+      list.items.push({ lines: content, task: task ? task[1] !== ' ' : null });
+    }
+    list.end = i;
+    return list;
+  }
+
+  // --- rendering ---------------------------------------------------------------
+
+  function el(tag, className) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    return node;
+  }
+
+  function renderBlock(block, options, tight) {
+    switch (block.type) {
+      case 'code': {
+        if (typeof options.renderCode === 'function') return options.renderCode(block.lang, block.code, block.closed);
+        const pre = el('pre');
+        const code = el('code');
+        code.textContent = block.code;
+        pre.appendChild(code);
+        return pre;
+      }
+      case 'heading': {
+        const h = el('h' + block.level);
+        renderInline(block.text.trim(), h);
+        return h;
+      }
+      case 'rule':
+        return el('hr');
+      case 'quote': {
+        const quote = el('blockquote');
+        renderBlocks(block.lines, quote, options, false);
+        return quote;
+      }
+      case 'list': {
+        const list = el(block.ordered ? 'ol' : 'ul');
+        if (block.ordered && block.start !== 1) list.start = block.start;
+        block.items.forEach((item) => {
+          const li = el('li');
+          if (item.task !== null) {
+            li.className = 'task-list-item';
+            const box = el('input');
+            box.type = 'checkbox';
+            box.checked = item.task;
+            box.disabled = true;
+            li.appendChild(box);
+          }
+          renderBlocks(item.lines, li, options, !block.loose);
+          list.appendChild(li);
+        });
+        return list;
+      }
+      case 'table': {
+        const wrap = el('div', 'markdown-table');
+        const table = el('table');
+        const addRow = (section, cells, cellTag) => {
+          const tr = el('tr');
+          block.header.forEach((unused, col) => {
+            const cell = el(cellTag);
+            if (block.align[col]) cell.style.textAlign = block.align[col];
+            renderInline(cells[col] || '', cell);
+            tr.appendChild(cell);
+          });
+          section.appendChild(tr);
+        };
+        const thead = el('thead');
+        addRow(thead, block.header, 'th');
+        table.appendChild(thead);
+        if (block.rows.length) {
+          const tbody = el('tbody');
+          block.rows.forEach((row) => addRow(tbody, row, 'td'));
+          table.appendChild(tbody);
+        }
+        wrap.appendChild(table);
+        return wrap;
+      }
+      default: {
+        // paragraphs in a tight list item sit directly in the <li>
+        const p = el(tight ? 'span' : 'p');
+        renderInline(block.text.replace(/^[ \t]+/gm, '').trim(), p);
+        return p;
+      }
+    }
+  }
+
+  function renderBlocks(lines, parent, options, tight) {
+    parseBlocks(lines).forEach((block) => parent.appendChild(renderBlock(block, options, tight)));
+  }
+
+  // --- inline ----------------------------------------------------------------
+
+  function decodeEntity(name) {
+    if (name[0] !== '#') return Object.prototype.hasOwnProperty.call(ENTITIES, name) ? ENTITIES[name] : null;
+    const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : null;
+  }
+
+  function runLength(text, i, ch) {
+    let n = 0;
+    while (text[i + n] === ch) n++;
+    return n;
+  }
+
+  // Index of the backtick run of exactly `length` closing a code span, or -1
+  function findCodeSpanEnd(text, from, length) {
+    let k = from;
+    while (k < text.length) {
+      if (text[k] === '`') {
+        const n = runLength(text, k, '`');
+        if (n === length) return k;
+        k += n;
+      } else k++;
+    }
+    return -1;
+  }
+
+  // Index where the emphasis run opened with `count` × `ch` closes, or -1.
+  // Nested runs of the same character are skipped as pairs, so the closer of
+  // `*a **b** c*` is the last star. `memo` holds the answers for this text;
+  // without it a long run of unclosed openers is searched exponentially often.
+  function findEmphasisEnd(text, from, ch, count, depth, memo) {
+    // nothing after the last run of `ch` that follows a non-space can close
+    const lastKey = 'last' + ch;
+    if (!memo.has(lastKey)) {
+      let last = -1;
+      for (let k = 1; k < text.length; k++) {
+        if (text[k] === ch && text[k - 1] !== ch && !/\s/.test(text[k - 1])) last = k;
+      }
+      memo.set(lastKey, last);
+    }
+    if (from > memo.get(lastKey)) return -1;
+    const key = from + ch + count;
+    if (memo.has(key)) return memo.get(key);
+    const end = scanEmphasisEnd(text, from, ch, count, depth, memo);
+    memo.set(key, end);
+    return end;
+  }
+
+  function scanEmphasisEnd(text, from, ch, count, depth, memo) {
+    let k = from;
+    while (k < text.length) {
+      const c = text[k];
+      if (c === '\\') { k += 2; continue; }
+      if (c === '`') {
+        const n = runLength(text, k, '`');
+        const end = findCodeSpanEnd(text, k + n, n);
+        k = end >= 0 ? end + n : k + n;
+        continue;
+      }
+      if (c !== ch) { k++; continue; }
+      const n = runLength(text, k, ch);
+      const before = text[k - 1] || ' ';
+      const after = text[k + n] || ' ';
+      const canClose = k > from && !/\s/.test(before) && (ch !== '_' || !/[\p{L}\p{N}]/u.test(after));
+      const canOpen = !/\s/.test(after) && (ch !== '_' || !/[\p{L}\p{N}]/u.test(before));
+      if (canClose && n >= count) return k;
+      if (canOpen && depth < 32) {
+        const inner = findEmphasisEnd(text, k + n, ch, n, depth + 1, memo);
+        if (inner >= 0) { k = inner + n; continue; }
+      }
+      k += n;
+    }
+    return -1;
+  }
+
+  // `[label](destination "title")` starting at text[i] === '['
+  function parseLink(text, i) {
+    let depth = 0;
+    let j = i;
+    for (; j < text.length; j++) {
+      if (text[j] === '\\') { j++; continue; }
+      if (text[j] === '`') {
+        const n = runLength(text, j, '`');
+        const end = findCodeSpanEnd(text, j + n, n);
+        j = (end >= 0 ? end + n : j + n) - 1;
+        continue;
+      }
+      if (text[j] === '[') depth++;
+      else if (text[j] === ']' && --depth === 0) break;
+    }
+    if (j >= text.length || text[j + 1] !== '(') return null;
+    const rest = /^\(\s*(<[^<>\n]*>|[^\s()]*(?:\([^\s()]*\)[^\s()]*)*)(?:\s+("[^"]*"|'[^']*'|\([^)]*\)))?\s*\)/.exec(text.slice(j + 1));
+    if (!rest) return null;
+    let url = rest[1];
+    if (url.startsWith('<')) url = url.slice(1, -1);
+    return {
+      label: text.slice(i + 1, j),
+      url: url.replace(/\\([!-/:-@[-`{-~])/g, '$1'),
+      title: rest[2] ? rest[2].slice(1, -1) : '',
+      end: j + 1 + rest[0].length,
+    };
+  }
+
+  function appendLink(parent, url, title, fill) {
+    // unsafe targets (javascript:, data:, file paths) keep their text only
+    const a = SAFE_URL.test(url) ? el('a') : el('span');
+    if (a.tagName === 'A') {
+      a.href = url;
+      a.rel = 'noopener noreferrer';
+      a.title = title || url;
+    }
+    fill(a);
+    parent.appendChild(a);
+  }
+
+  function renderInline(text, parent) {
+    const memo = new Map();
+    let buffer = '';
+    const flush = () => {
+      if (buffer) parent.appendChild(document.createTextNode(buffer));
+      buffer = '';
+    };
+    let i = 0;
+    while (i < text.length) {
+      const ch = text[i];
+      const rest = text.slice(i);
+
+      if (ch === '\\') {
+        if (text[i + 1] === '\n') { flush(); parent.appendChild(el('br')); i += 2; continue; }
+        if (ESCAPABLE.test(text[i + 1] || '')) { buffer += text[i + 1]; i += 2; continue; }
+      }
+
+      if (ch === '\n') {
+        // two trailing spaces make a hard break; otherwise lines just wrap
+        const hard = / {2,}$/.test(buffer);
+        buffer = buffer.replace(/ +$/, '');
+        if (hard) { flush(); parent.appendChild(el('br')); } else buffer += '\n';
+        i++;
+        continue;
+      }
+
+      if (ch === '`') {
+        const n = runLength(text, i, '`');
+        const end = findCodeSpanEnd(text, i + n, n);
+        if (end < 0) { buffer += text.substr(i, n); i += n; continue; }
+        flush();
+        let code = text.slice(i + n, end).replace(/\n/g, ' ');
+        if (/^ .*[^ ].* $/.test(code)) code = code.slice(1, -1);
+        const codeEl = el('code', 'inline-code');
+        codeEl.textContent = code;
+        parent.appendChild(codeEl);
+        i = end + n;
+        continue;
+      }
+
+      if ((ch === '!' && text[i + 1] === '[') || ch === '[') {
+        const image = ch === '!';
+        const link = parseLink(text, image ? i + 1 : i);
+        if (link) {
+          flush();
+          // images are not loaded into the webview; they show as links
+          appendLink(parent, link.url, link.title, (a) => {
+            if (image) {
+              a.classList.add('markdown-image-link');
+              a.textContent = link.label || link.url;
+            } else renderInline(link.label, a);
+          });
+          i = link.end;
+          continue;
+        }
+      }
+
+      if (ch === '<') {
+        const auto = /^<((?:https?|mailto):[^\s<>]+|[^\s<>@]+@[^\s<>@]+\.[^\s<>@]+)>/i.exec(rest);
+        if (auto) {
+          flush();
+          const url = /^(?:https?|mailto):/i.test(auto[1]) ? auto[1] : 'mailto:' + auto[1];
+          appendLink(parent, url, '', (a) => { a.textContent = auto[1]; });
+          i += auto[0].length;
+          continue;
+        }
+        // <br> is common in model-written table cells; other tags stay text
+        const br = /^<br\s*\/?>/i.exec(rest);
+        if (br) { flush(); parent.appendChild(el('br')); i += br[0].length; continue; }
+      }
+
+      if (ch === '&') {
+        const entity = /^&(#\d{1,7}|#[xX][\da-fA-F]{1,6}|[a-z]+);/.exec(rest);
+        const decoded = entity && decodeEntity(entity[1]);
+        if (decoded) { buffer += decoded; i += entity[0].length; continue; }
+      }
+
+      if (ch === '*' || ch === '_' || ch === '~') {
+        const n = runLength(text, i, ch);
+        const before = text[i - 1] || ' ';
+        const after = text[i + n] || ' ';
+        const canOpen = !/\s/.test(after) && (ch !== '_' || !/[\p{L}\p{N}]/u.test(before));
+        // ~~strike~~ only; * and _ up to three for ***both***
+        const count = ch === '~' ? (n === 2 ? 2 : 0) : Math.min(n, 3);
+        const end = canOpen && count ? findEmphasisEnd(text, i + n, ch, count, 0, memo) : -1;
+        if (end < 0) { buffer += text.substr(i, n); i += n; continue; }
+        flush();
+        buffer = ch.repeat(n - count);
+        flush();
+        let outer;
+        let inner;
+        if (ch === '~') outer = inner = el('del');
+        else if (count === 3) { outer = el('strong'); inner = el('em'); outer.appendChild(inner); }
+        else outer = inner = el(count === 2 ? 'strong' : 'em');
+        renderInline(text.slice(i + n, end), inner);
+        parent.appendChild(outer);
+        i = end + count;
+        continue;
+      }
+
+      if ((ch === 'h' || ch === 'w') && !/[\p{L}\p{N}]/u.test(text[i - 1] || ' ')) {
+        const bare = /^(?:https?:\/\/|www\.)[^\s<]*[^\s<?!.,:;*_~'")\]]/.exec(rest);
+        if (bare) {
+          flush();
+          const url = bare[0].startsWith('www.') ? 'https://' + bare[0] : bare[0];
+          appendLink(parent, url, '', (a) => { a.textContent = bare[0]; });
+          i += bare[0].length;
+          continue;
+        }
+      }
+
+      buffer += ch;
+      i++;
+    }
+    flush();
+  }
+
+  // Renders `text` into `container`, reusing the nodes of unchanged leading
+  // blocks from the previous call. options.renderCode(lang, code, closed)
+  // builds the node for a code block; `lang` is empty when the fence has no
+  // info string and `closed` is false while a fence is still streaming.
+  function render(container, text, options) {
+    const blocks = parseBlocks(String(text).replace(/\r\n?/g, '\n').split('\n'));
+    let previous = container.markdownBlocks || [];
+    // start over when something else has written into the container
+    const intact = previous.length === container.childNodes.length &&
+      previous.every((b, i) => container.childNodes[i] === b.node);
+    if (!intact) {
+      container.textContent = '';
+      previous = [];
+    }
+    let keep = 0;
+    while (keep < previous.length && keep < blocks.length && previous[keep].src === blocks[keep].src) keep++;
+    for (let i = keep; i < previous.length; i++) previous[i].node.remove();
+    const next = previous.slice(0, keep);
+    for (let i = keep; i < blocks.length; i++) {
+      const node = renderBlock(blocks[i], options || {}, false);
+      container.appendChild(node);
+      next.push({ src: blocks[i].src, node });
+    }
+    container.markdownBlocks = next;
+    container.classList.add('markdown-body');
+  }
+
+  window.markdown = { render, parseBlocks };
+})();
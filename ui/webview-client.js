@@ -11,12 +11,81 @@
   const modelListEl = document.getElementById('model-list');
   const modelDropdown = document.getElementById('model-dropdown');
   const modeListEl = document.getElementById('mode-list');
+  const sendBtn = document.getElementById('send-btn');
+  const paramsBtn = document.getElementById('params-btn');
+  const paramsPanel = document.getElementById('params-panel');
+  const tokenBudgetEl = document.getElementById('token-budget');
   let selectedFiles = [];
   let selectedModelId = null;
+  // model entries from the last modelsResponse, for capabilities such as vision
+  let modelsById = {};
   let selectedModeId = 'ask';
   let legacyModeSession = null; // Track Legacy Mode session state
   // store prompt metadata by requestId so reload/edit can resend
   const messageStore = new Map();
+  // accumulated streamed text by requestId while a response is in flight
+  const streamStore = new Map();
+  // the extension keeps message history per conversation; New Chat starts a fresh one
+  let conversationId = newConversationId();
+
+  // requestIds still waiting on a promptResponse; while any are pending the
+  // send button acts as Stop
+  const pendingRequests = new Set();
+
+  // generation parameter overrides from the parameters panel; they belong to
+  // the conversation, so New Chat resets them
+  let conversationParams = {};
+
+  function postPrompt(msg) {
+    pendingRequests.add(String(msg.requestId));
+    updateSendButton();
+    vscode.postMessage(Object.assign({ command: 'sendPrompt', parameters: Object.assign({}, conversationParams) }, msg));
+  }
+
+  function readParamsPanel() {
+    const params = {};
+    if (!paramsPanel) return params;
+    paramsPanel.querySelectorAll('[data-param]').forEach((input) => {
+      const value = String(input.value || '').trim();
+      if (!value) return;
+      params[input.dataset.param] = input.type === 'number' ? Number(value) : value;
+    });
+    return params;
+  }
+
+  function resetParamsPanel() {
+    conversationParams = {};
+    if (paramsPanel) paramsPanel.querySelectorAll('[data-param]').forEach((input) => { input.value = ''; });
+    updateParamsButton();
+  }
+
+  function updateParamsButton() {
+    if (!paramsBtn) return;
+    const count = Object.keys(conversationParams).length;
+    paramsBtn.classList.toggle('has-params', count > 0);
+    paramsBtn.title = count ? 'Generation parameters (' + count + ' set)' : 'Generation parameters';
+  }
+
+  function cancelPendingRequests() {
+    pendingRequests.forEach((rid) => {
+      try { vscode.postMessage({ command: 'cancelPrompt', requestId: rid }); } catch (e) { console.error(e); }
+    });
+  }
+
+  function updateSendButton() {
+    if (!sendBtn) return;
+    const busy = pendingRequests.size > 0;
+    const sendIcon = sendBtn.querySelector('.send-icon');
+    const stopIcon = sendBtn.querySelector('.stop-icon');
+    if (sendIcon) sendIcon.style.display = busy ? 'none' : 'inline';
+    if (stopIcon) stopIcon.style.display = busy ? 'inline' : 'none';
+    sendBtn.title = busy ? 'Stop' : 'Send';
+    sendBtn.setAttribute('aria-label', busy ? 'Stop' : 'Send');
+  }
+
+  function newConversationId() {
+    return 'conv-' + String(Date.now()) + Math.random().toString(36).slice(2,8);
+  }
 
   function appendMessage(role, text, meta, responseData) {
     try {
@@ -93,18 +162,25 @@
       files.forEach((f) => {
         const chip = document.createElement('div');
         chip.className = 'chip';
-        chip.textContent = f.label || f.path || 'file';
+        if (f.image && f.data) {
+          chip.classList.add('image-chip');
+          chip.appendChild(createImageThumb(f));
+        }
+        chip.appendChild(document.createTextNode(f.label || f.path || 'file'));
         chipsWrap.appendChild(chip);
       });
     } catch (e) { console.error('renderSentFileChips error', e); }
   }
 
-  async function handleReload(assistantNode) {
+  // overrides.modelId resends with another model (the error bubble's Retry
+  // after Switch model)
+  async function handleReload(assistantNode, overrides) {
     try {
       const oldReq = assistantNode.dataset.requestId;
       if (!oldReq) return;
-      const meta = messageStore.get(String(oldReq));
-      if (!meta) return;
+      const stored = messageStore.get(String(oldReq));
+      if (!stored) return;
+      const meta = Object.assign({}, stored, overrides && overrides.modelId ? { modelId: overrides.modelId } : {});
       // remove old assistant node
       assistantNode.remove();
       // create new placeholder assistant and send again
@@ -117,7 +193,7 @@
       // store under new id
       messageStore.set(newReq, Object.assign({}, meta));
       // send
-      try { vscode.postMessage({ command: 'sendPrompt', modelId: meta.modelId, prompt: meta.prompt, requestId: newReq, modeId: meta.modeId }); } catch (e) { console.error('reload send failed', e); }
+      try { postPrompt({ modelId: meta.modelId, prompt: meta.prompt, requestId: newReq, modeId: meta.modeId, conversationId, replaces: oldReq }); } catch (e) { console.error('reload send failed', e); }
     } catch (e) { console.error('handleReload error', e); }
   }
 
@@ -223,7 +299,7 @@ function createInlineEditor(userNode, initialText) {
             payload = [newText, { __files: true, files: stored.files }];
           }
           messageStore.set(newReq, { prompt: payload, modelId: stored.modelId || selectedModelId, modeId: stored.modeId || selectedModeId, files: stored.files || [] });
-          try { vscode.postMessage({ command: 'sendPrompt', modelId: stored.modelId || selectedModelId, prompt: payload, requestId: newReq, modeId: stored.modeId || selectedModeId }); } catch (e) { console.error('edit send failed', e); }
+          try { postPrompt({ modelId: stored.modelId || selectedModelId, prompt: payload, requestId: newReq, modeId: stored.modeId || selectedModeId, conversationId, replaces: req }); } catch (e) { console.error('edit send failed', e); }
         });
         return;
       }
@@ -272,7 +348,7 @@ function createInlineEditor(userNode, initialText) {
         }
         // store mapping
         messageStore.set(newReq, { prompt: payload, modelId: stored.modelId || selectedModelId, modeId: stored.modeId || selectedModeId, files: stored.files || [] });
-        try { vscode.postMessage({ command: 'sendPrompt', modelId: stored.modelId || selectedModelId, prompt: payload, requestId: newReq, modeId: stored.modeId || selectedModeId }); } catch (e) { console.error('edit send failed', e); }
+        try { postPrompt({ modelId: stored.modelId || selectedModelId, prompt: payload, requestId: newReq, modeId: stored.modeId || selectedModeId, conversationId, replaces: req }); } catch (e) { console.error('edit send failed', e); }
 
         // cleanup handlers
         cancelBtn.removeEventListener('click', cancelHandler);
@@ -288,98 +364,94 @@ function createInlineEditor(userNode, initialText) {
   function renderMessageContent(container, text) {
     try {
       if (!container) return;
-      container.innerHTML = '';
-      if (!text && text !== 0) return;
+      if (!text && text !== 0) {
+        container.innerHTML = '';
+        return;
+      }
       const str = String(text);
       
       // Check if this is Legacy Mode content
       if (str.includes('# Legacy Mode Execution Report')) {
+        container.innerHTML = '';
         renderLegacyModeContent(container, str);
         return;
       }
-      
-      const fenceRegex = new RegExp('\x60\x60\x60([\\w-]+)?\\n([\\s\\S]*?)\x60\x60\x60','g');
-      let lastIndex = 0;
-      let match;
-      while ((match = fenceRegex.exec(str)) !== null) {
-        if (match.index > lastIndex) {
-          const plain = str.substring(lastIndex, match.index);
-          const p = document.createElement('div');
-          p.textContent = plain;
-          container.appendChild(p);
-        }
-
-        const lang = match[1] || 'text';
-        const code = match[2] || '';
 
-        const wrapper = document.createElement('div');
-        wrapper.className = 'code-widget-wrapper';
-
-        const widget = document.createElement('div');
-        widget.className = 'code-widget mt-4 mb-4';
-
-        const label = document.createElement('div');
-        label.className = 'code-lang-label';
-        label.textContent = lang;
-        widget.appendChild(label);
+      // called again on every streamed delta; blocks that are already
+      // complete keep their nodes
+      window.markdown.render(container, str, { renderCode: createCodeWidget });
+    } catch (e) {
+      try { container.innerText = text; } catch (ee) {}
+    }
+  }
 
-        const pre = document.createElement('pre');
-        const codeEl = document.createElement('code');
-        codeEl.textContent = code;
-        pre.appendChild(codeEl);
-        widget.appendChild(pre);
-
-        const copyBtn = document.createElement('button');
-        copyBtn.className = 'code-copy-btn';
-        copyBtn.type = 'button';
-        copyBtn.setAttribute('aria-label', 'Copy code');
-        copyBtn.title = 'Copy code';
-        copyBtn.innerHTML = '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24"><path fill="currentColor" d="M18 2H9c-1.1 0-2 .9-2 2v12c0 1.1.9 2 2 2h9c1.1 0 2-.9 2-2V4c0-1.1-.9-2-2-2m0 14H9V4h9zM3 15v-2h2v2zm0-5.5h2v2H3zM10 20h2v2h-2zm-7-1.5v-2h2v2zM5 22c-1.1 0-2-.9-2-2h2zm3.5 0h-2v-2h2zm5 0v-2h2c0 1.1-.9 2-2 2M5 6v2H3c0-1.1.9-2 2-2"/></svg>';
-
-        const feedback = document.createElement('div');
-        feedback.className = 'copy-feedback';
-        feedback.textContent = 'Copied';
-
-        copyBtn.addEventListener('click', async (ev) => {
-          ev.preventDefault();
-          try {
-            await navigator.clipboard.writeText(code);
-            feedback.style.display = 'block';
-            setTimeout(() => { feedback.style.display = 'none'; }, 1200);
-          } catch (e) {
-            try {
-              const range = document.createRange();
-              range.selectNodeContents(codeEl);
-              const sel = window.getSelection();
-              sel.removeAllRanges();
-              sel.addRange(range);
-              document.execCommand('copy');
-              sel.removeAllRanges();
-              feedback.style.display = 'block';
-              setTimeout(() => { feedback.style.display = 'none'; }, 1200);
-            } catch (ee) {
-              console.error('Copy failed', ee);
-            }
-          }
-        });
+  // Fenced code: language label, the code, and a copy button
+  // Unlabeled or unknown fences are auto-detected once the fence closes, so
+  // the label and colors don't flip while the code is still streaming.
+  function createCodeWidget(lang, code, closed) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'code-widget-wrapper';
 
-        wrapper.appendChild(widget);
-        wrapper.appendChild(copyBtn);
-        wrapper.appendChild(feedback);
-        container.appendChild(wrapper);
+    const widget = document.createElement('div');
+    widget.className = 'code-widget mt-4 mb-4';
 
-        lastIndex = fenceRegex.lastIndex;
+    const highlighter = window.highlighter;
+    let language = null;
+    try {
+      language = highlighter.resolve(lang);
+      if (!language && closed !== false) language = highlighter.detect(code);
+    } catch { language = null; }
+
+    const label = document.createElement('div');
+    label.className = 'code-lang-label';
+    label.textContent = lang || (language && language !== 'plaintext' ? language : 'text');
+    if (!lang && language) label.title = 'Detected language';
+    widget.appendChild(label);
+
+    const pre = document.createElement('pre');
+    const codeEl = document.createElement('code');
+    try { highlighter.highlight(codeEl, code, language); } catch { codeEl.textContent = code; }
+    pre.appendChild(codeEl);
+    widget.appendChild(pre);
+
+    const copyBtn = document.createElement('button');
+    copyBtn.className = 'code-copy-btn';
+    copyBtn.type = 'button';
+    copyBtn.setAttribute('aria-label', 'Copy code');
+    copyBtn.title = 'Copy code';
+    copyBtn.innerHTML = '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24"><path fill="currentColor" d="M18 2H9c-1.1 0-2 .9-2 2v12c0 1.1.9 2 2 2h9c1.1 0 2-.9 2-2V4c0-1.1-.9-2-2-2m0 14H9V4h9zM3 15v-2h2v2zm0-5.5h2v2H3zM10 20h2v2h-2zm-7-1.5v-2h2v2zM5 22c-1.1 0-2-.9-2-2h2zm3.5 0h-2v-2h2zm5 0v-2h2c0 1.1-.9 2-2 2M5 6v2H3c0-1.1.9-2 2-2"/></svg>';
+
+    const feedback = document.createElement('div');
+    feedback.className = 'copy-feedback';
+    feedback.textContent = 'Copied';
+
+    copyBtn.addEventListener('click', async (ev) => {
+      ev.preventDefault();
+      try {
+        await navigator.clipboard.writeText(code);
+        feedback.style.display = 'block';
+        setTimeout(() => { feedback.style.display = 'none'; }, 1200);
+      } catch (e) {
+        try {
+          const range = document.createRange();
+          range.selectNodeContents(codeEl);
+          const sel = window.getSelection();
+          sel.removeAllRanges();
+          sel.addRange(range);
+          document.execCommand('copy');
+          sel.removeAllRanges();
+          feedback.style.display = 'block';
+          setTimeout(() => { feedback.style.display = 'none'; }, 1200);
+        } catch (ee) {
+          console.error('Copy failed', ee);
+        }
       }
+    });
 
-      if (lastIndex < str.length) {
-        const rest = str.substring(lastIndex);
-        const p2 = document.createElement('div');
-        p2.textContent = rest;
-        container.appendChild(p2);
-      }
-    } catch (e) {
-      try { container.innerText = text; } catch (ee) {}
-    }
+    wrapper.appendChild(widget);
+    wrapper.appendChild(copyBtn);
+    wrapper.appendChild(feedback);
+    return wrapper;
   }
 
   // Legacy Mode Content Rendering Functions
@@ -614,7 +686,12 @@ function createInlineEditor(userNode, initialText) {
       const modelInfoEl = statsEl.querySelector('.model-info');
       if (modelInfoEl && responseData.metadata) {
         const model = responseData.metadata.model || 'Unknown';
+        const requested = responseData.metadata.requestedModel;
         modelInfoEl.textContent = 'Model: ' + model;
+        if (requested && requested !== model) {
+          modelInfoEl.textContent += ' (fallback from ' + requested + ')';
+          modelInfoEl.title = requested + ' was unavailable, so ' + model + ' answered';
+        }
       }
 
       const timestampEl = statsEl.querySelector('.timestamp');
@@ -623,6 +700,20 @@ function createInlineEditor(userNode, initialText) {
         timestampEl.textContent = now.toLocaleTimeString('en-US', { hour12: false, hour: '2-digit', minute: '2-digit' });
       }
 
+      const usageInfoEl = statsEl.querySelector('.usage-info');
+      const tracked = responseData.usage || null;
+      const usage = (tracked && tracked.usage) || (responseData.metadata && responseData.metadata.usage);
+      if (usageInfoEl && usage) {
+        const parts = [usage.promptTokens + ' in', usage.completionTokens + ' out'];
+        if (usage.reasoningTokens) parts.push(usage.reasoningTokens + ' reasoning');
+        if (typeof usage.cost === 'number') parts.push(formatCost(usage.cost));
+        usageInfoEl.textContent = parts.join(' · ');
+        const totals = [];
+        if (tracked && tracked.conversation) totals.push('Conversation: ' + formatUsageTotals(tracked.conversation));
+        if (tracked && tracked.today) totals.push('Today: ' + formatUsageTotals(tracked.today));
+        usageInfoEl.title = totals.join('\n');
+      }
+
       const eventCountEl = statsEl.querySelector('.event-count');
       if (eventCountEl && responseData.events) {
         eventCountEl.textContent = 'Events: ' + responseData.events;
@@ -631,6 +722,9 @@ function createInlineEditor(userNode, initialText) {
       const thinkingData = responseData.thinking_text || responseData.reasoning || '';
       if (thinkingData && thinkingData.trim()) {
         setupThinkingToggle(messageNode, thinkingData);
+        const durationEl = messageNode.querySelector('.thinking-duration');
+        const reasoningMs = responseData.metadata && responseData.metadata.reasoningMs;
+        if (durationEl && reasoningMs) durationEl.textContent = '· ' + formatDuration(reasoningMs);
       }
 
     } catch (e) {
@@ -638,6 +732,24 @@ function createInlineEditor(userNode, initialText) {
     }
   }
 
+  function formatDuration(ms) {
+    const seconds = ms / 1000;
+    if (seconds < 60) return (seconds < 10 ? seconds.toFixed(1) : Math.round(seconds)) + 's';
+    return Math.floor(seconds / 60) + 'm ' + Math.round(seconds % 60) + 's';
+  }
+
+  function formatCost(cost) {
+    return '$' + (cost < 0.01 ? cost.toFixed(4) : cost.toFixed(2));
+  }
+
+  function formatUsageTotals(t) {
+    const tokens = t.promptTokens + t.completionTokens + t.reasoningTokens;
+    let text = tokens + ' tokens in ' + t.requests + (t.requests === 1 ? ' request' : ' requests');
+    if (t.cost || !t.unpriced) text += ', ~' + formatCost(t.cost || 0);
+    if (t.unpriced) text += ' (' + t.unpriced + ' unpriced)';
+    return text;
+  }
+
   function setupThinkingToggle(messageNode, reasoningText) {
     try {
       const thinkingToggle = messageNode.querySelector('.thinking-toggle');
@@ -651,6 +763,10 @@ function createInlineEditor(userNode, initialText) {
       thinkingToggle.style.display = 'block';
       thinkingTextEl.textContent = reasoningText;
 
+      // streamed responses call this repeatedly; only wire the click once
+      if (thinkingToggle.dataset.bound) return;
+      thinkingToggle.dataset.bound = 'true';
+
       let isExpanded = false;
       thinkingToggle.addEventListener('click', (e) => {
         e.preventDefault();
@@ -674,6 +790,252 @@ function createInlineEditor(userNode, initialText) {
     }
   }
 
+  function findAssistantNode(requestId) {
+    let found = null;
+    const nodes = chatMessagesContainer.querySelectorAll('.assistant-message[data-request-id]');
+    nodes.forEach(n => { if (n.dataset.requestId === String(requestId)) found = n; });
+    return found;
+  }
+
+  function applyPromptDelta(requestId, delta) {
+    try {
+      if (!delta) return;
+      const state = streamStore.get(String(requestId)) || { text: '', thinking: '' };
+      // an orphan </think>: what streamed as the answer was reasoning
+      if (delta.reclassified) {
+        state.thinking += state.text;
+        state.text = '';
+      }
+      state.text += delta.plain_text || '';
+      state.thinking += delta.thinking_text || '';
+      streamStore.set(String(requestId), state);
+
+      const node = findAssistantNode(requestId);
+      if (!node) return;
+      if (delta.plain_text || delta.reclassified) {
+        const textEl = node.querySelector('.message-text');
+        if (textEl) renderMessageContent(textEl, state.text);
+      }
+      if (delta.thinking_text || delta.reclassified) setupThinkingToggle(node, state.thinking);
+      chatMessagesContainer.scrollTop = chatMessagesContainer.scrollHeight;
+    } catch (e) {
+      console.error('Error applying prompt delta', e);
+    }
+  }
+
+  function applyPromptStatus(requestId, status) {
+    try {
+      const node = findAssistantNode(requestId);
+      if (!node || !status) return;
+      const statusEl = node.querySelector('.message-meta .status-text');
+      if (!statusEl) return;
+      if (status.state === 'retrying') {
+        const seconds = Math.max(1, Math.round((status.delayMs || 0) / 1000));
+        statusEl.textContent = 'Retrying in ' + seconds + 's…';
+        statusEl.title = (status.reason ? status.reason + ' · ' : '') + 'attempt ' + (status.attempt + 1) + ' of ' + status.maxAttempts;
+      } else if (status.state === 'fallback') {
+        statusEl.textContent = 'Trying ' + status.to + '…';
+        statusEl.title = status.from + ' failed' + (status.reason ? ': ' + status.reason : '');
+      } else if (status.state === 'working') {
+        statusEl.textContent = 'Working';
+        statusEl.title = '';
+      } else if (status.state === 'files-trimmed') {
+        showTrimmedFiles(requestId, status.files, status.droppedTurns);
+      } else if (status.state === 'repairing') {
+        // the invalid answer is replaced by the corrected one
+        const state = streamStore.get(String(requestId));
+        if (state) state.text = '';
+        const textEl = node.querySelector('.message-text');
+        if (textEl) textEl.innerHTML = '';
+        statusEl.textContent = 'Fixing JSON (' + status.attempt + '/' + status.maxAttempts + ')…';
+        statusEl.title = (status.errors || []).join('\n');
+      } else if (status.state === 'tool') {
+        // text streamed before the calls was the model thinking aloud; the
+        // answer starts over once the results are in
+        const state = streamStore.get(String(requestId));
+        if (state) state.text = '';
+        const textEl = node.querySelector('.message-text');
+        if (textEl) textEl.innerHTML = '';
+        statusEl.textContent = 'Using ' + (status.tools || []).join(', ') + '…';
+        statusEl.title = 'Tool round ' + status.round;
+      }
+    } catch (e) {
+      console.error('Error applying prompt status', e);
+    }
+  }
+
+  // Structured (JSON Schema) answers: a valid value is shown as a collapsible
+  // tree, an invalid one as the model's text plus what failed validation.
+  function renderStructuredResponse(container, structured, text) {
+    try {
+      if (!structured.valid) {
+        renderMessageContent(container, text);
+        const box = document.createElement('div');
+        box.className = 'schema-errors';
+        const title = document.createElement('div');
+        title.className = 'schema-errors-title';
+        title.textContent = 'The response does not match the requested schema:';
+        box.appendChild(title);
+        const list = document.createElement('ul');
+        (structured.errors || []).forEach(err => {
+          const li = document.createElement('li');
+          li.textContent = err;
+          list.appendChild(li);
+        });
+        box.appendChild(list);
+        container.appendChild(box);
+        return;
+      }
+      container.innerHTML = '';
+      const tree = document.createElement('div');
+      tree.className = 'json-tree';
+      tree.appendChild(buildJsonTreeNode(null, structured.value, 0));
+      container.appendChild(tree);
+    } catch (e) {
+      console.error('Error rendering structured response', e);
+      renderMessageContent(container, text);
+    }
+  }
+
+  function buildJsonTreeNode(key, value, depth) {
+    const keyLabel = () => {
+      const k = document.createElement('span');
+      k.className = 'json-key';
+      k.textContent = (typeof key === 'number' ? '[' + key + ']' : key) + ': ';
+      return k;
+    };
+    if (value !== null && typeof value === 'object') {
+      const isArray = Array.isArray(value);
+      const entries = isArray ? value.map((v, i) => [i, v]) : Object.keys(value).map(k => [k, value[k]]);
+      const details = document.createElement('details');
+      details.className = 'json-branch';
+      // the first two levels start expanded
+      details.open = depth < 2;
+      const summary = document.createElement('summary');
+      if (key !== null) summary.appendChild(keyLabel());
+      const count = document.createElement('span');
+      count.className = 'json-count';
+      count.textContent = isArray ? 'Array(' + entries.length + ')' : '{' + entries.length + (entries.length === 1 ? ' key}' : ' keys}');
+      summary.appendChild(count);
+      details.appendChild(summary);
+      const children = document.createElement('div');
+      children.className = 'json-children';
+      entries.forEach(([k, v]) => children.appendChild(buildJsonTreeNode(k, v, depth + 1)));
+      details.appendChild(children);
+      return details;
+    }
+    const leaf = document.createElement('div');
+    leaf.className = 'json-leaf';
+    if (key !== null) leaf.appendChild(keyLabel());
+    const val = document.createElement('span');
+    val.className = 'json-value json-' + (value === null ? 'null' : typeof value);
+    val.textContent = typeof value === 'string' ? JSON.stringify(value) : String(value);
+    leaf.appendChild(val);
+    return leaf;
+  }
+
+  const ERROR_ACTION_LABELS = {
+    setApiKey: 'Set API key',
+    switchModel: 'Switch model',
+    retry: 'Retry',
+    newChat: 'New chat'
+  };
+
+  // Provider failures render as what went wrong plus buttons for the way out;
+  // the provider's own wording sits under Details. Text that streamed in
+  // before the failure stays above the error.
+  function renderErrorBubble(node, info, partialText) {
+    try {
+      const textEl = node.querySelector('.message-text');
+      if (!textEl) return;
+      if (partialText) renderMessageContent(textEl, partialText);
+      else textEl.innerHTML = '';
+      node.classList.add('is-error');
+
+      const box = document.createElement('div');
+      box.className = 'error-box';
+      box.dataset.kind = info.kind || 'unknown';
+      const title = document.createElement('div');
+      title.className = 'error-title';
+      title.textContent = info.title || 'Request failed';
+      const message = document.createElement('div');
+      message.className = 'error-message';
+      message.textContent = info.message || '';
+      box.appendChild(title);
+      box.appendChild(message);
+
+      if (info.detail) {
+        const details = document.createElement('details');
+        details.className = 'error-detail';
+        const summary = document.createElement('summary');
+        summary.textContent = 'Details';
+        const pre = document.createElement('pre');
+        pre.textContent = info.detail;
+        details.appendChild(summary);
+        details.appendChild(pre);
+        box.appendChild(details);
+      }
+
+      const actions = document.createElement('div');
+      actions.className = 'error-actions';
+      (info.actions || []).forEach((action) => {
+        if (!ERROR_ACTION_LABELS[action]) return;
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'error-action';
+        btn.textContent = ERROR_ACTION_LABELS[action];
+        btn.addEventListener('click', () => runErrorAction(action, node, info));
+        actions.appendChild(btn);
+      });
+      if (actions.childNodes.length) box.appendChild(actions);
+      textEl.appendChild(box);
+    } catch (e) {
+      console.error('Error rendering error bubble', e);
+    }
+  }
+
+  function runErrorAction(action, node, info) {
+    try {
+      if (action === 'setApiKey') {
+        vscode.postMessage({ command: 'openApiKeySetup', providerId: info.providerId || null });
+      } else if (action === 'switchModel') {
+        // after this click has finished bubbling, or click.away closes it again
+        const toggle = modelDropdown && modelDropdown.querySelector('button');
+        if (toggle) setTimeout(() => toggle.click(), 0);
+      } else if (action === 'retry') {
+        handleReload(node, { modelId: selectedModelId });
+      } else if (action === 'newChat') {
+        if (newChatBtn) newChatBtn.click();
+      }
+    } catch (e) {
+      console.error('Error running error action', e);
+    }
+  }
+
+  // A cancelled request keeps whatever text streamed in before the stop.
+  function markStopped(requestId) {
+    try {
+      const state = streamStore.get(String(requestId));
+      streamStore.delete(String(requestId));
+      const node = findAssistantNode(requestId);
+      if (!node) return;
+      node.classList.add('is-stopped');
+      const textEl = node.querySelector('.message-text');
+      if (textEl) renderMessageContent(textEl, state ? state.text : '');
+      const metaEl = node.querySelector('.message-meta');
+      if (metaEl) {
+        const spinnerEl = metaEl.querySelector('.assistant-spinner');
+        const statusEl = metaEl.querySelector('.status-text');
+        const metaTextEl = metaEl.querySelector('.meta-text');
+        if (spinnerEl) spinnerEl.style.display = 'none';
+        if (statusEl) statusEl.style.display = 'none';
+        if (metaTextEl) metaTextEl.innerText = 'Stopped';
+      }
+    } catch (e) {
+      console.error('Error marking response stopped', e);
+    }
+  }
+
   function renderSelectedFileChips() {
     let wrapper = document.getElementById('selectedFilesWrapper');
     if (!wrapper && attachFileChip && attachFileChip.parentNode) {
@@ -699,7 +1061,7 @@ function createInlineEditor(userNode, initialText) {
       iconContainer.style.fontSize = '10px';
       iconContainer.style.color = '#e7e7e7';
       iconContainer.textContent = ext;
-      chip.appendChild(iconContainer);
+      chip.appendChild(f.image && f.data ? createImageThumb(f) : iconContainer);
       const label = document.createElement('p');
       label.className = 'text-[7px] text-[#e7e7e7]';
       label.style.margin = '0';
@@ -709,6 +1071,14 @@ function createInlineEditor(userNode, initialText) {
       label.style.textOverflow = 'ellipsis';
       label.style.whiteSpace = 'nowrap';
       label.textContent = f.label;
+      if (f.truncated) {
+        label.textContent += ' (cut)';
+        chip.title = 'Only the first part of this file is attached (it is ' + Math.round((f.size || 0) / 1024) + ' KB)';
+      }
+      if (f.image && !selectedModelTakesImages()) {
+        chip.classList.add('attachment-unsupported');
+        chip.title = 'Not sent: the selected model does not accept images';
+      }
       chip.appendChild(label);
       const removeBtn = document.createElement('button');
       removeBtn.type = 'button';
@@ -727,9 +1097,72 @@ function createInlineEditor(userNode, initialText) {
       wrapper.appendChild(chip);
     });
     notifySelectedFiles();
+    scheduleTokenEstimate();
     try { const inputArea = document.querySelector('.input-area'); if (inputArea) inputArea.scrollTop = inputArea.scrollHeight; } catch (e) {}
   }
 
+  function createImageThumb(f) {
+    const img = document.createElement('img');
+    img.className = 'attachment-thumb';
+    img.src = 'data:' + f.mimeType + ';base64,' + f.data;
+    img.alt = f.label || '';
+    return img;
+  }
+
+  function selectedModelTakesImages() {
+    const model = modelsById[selectedModelId];
+    return !!(model && model.vision);
+  }
+
+  // Short-lived message next to the attachment chips (rejected images).
+  let attachmentNoticeTimer = null;
+  function showAttachmentNotice(text) {
+    try {
+      let notice = document.getElementById('attachment-notice');
+      if (!notice && attachFileChip && attachFileChip.parentNode) {
+        notice = document.createElement('div');
+        notice.id = 'attachment-notice';
+        notice.className = 'attachment-notice text-xs';
+        attachFileChip.parentNode.appendChild(notice);
+      }
+      if (!notice) return;
+      notice.textContent = text;
+      clearTimeout(attachmentNoticeTimer);
+      attachmentNoticeTimer = setTimeout(() => { notice.textContent = ''; }, 5000);
+    } catch (e) { console.error(e); }
+  }
+
+  // Files from the picker, plus images pasted or dropped into the input.
+  // Images are refused up front when the selected model cannot see them.
+  function addAttachments(files) {
+    const rejected = [];
+    files.forEach(f => {
+      if (f.image && f.error) { rejected.push(f.label + ' (' + f.error + ')'); return; }
+      if (f.image && !selectedModelTakesImages()) { rejected.push(f.label + ' (the selected model does not accept images)'); return; }
+      if (!selectedFiles.find(sf => sf.path === f.path)) selectedFiles.push(f);
+    });
+    if (rejected.length) showAttachmentNotice('Not attached: ' + rejected.join(', '));
+    renderSelectedFileChips();
+  }
+
+  const IMAGE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+  // matches MAX_IMAGE_BYTES in webviewProvider.js
+  const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+  let pastedImageCount = 0;
+
+  function readImageFiles(fileList) {
+    const images = Array.from(fileList || []).filter(file => IMAGE_MIME_TYPES.includes(file.type));
+    return Promise.all(images.map(file => new Promise((resolve) => {
+      const label = file.name || ('pasted-image-' + (++pastedImageCount) + '.' + file.type.split('/')[1]);
+      const entry = { path: 'clipboard:' + Date.now() + ':' + label, label, image: true, mimeType: file.type, size: file.size };
+      if (file.size > MAX_IMAGE_BYTES) return resolve(Object.assign(entry, { error: 'larger than ' + (MAX_IMAGE_BYTES / 1024 / 1024) + ' MB' }));
+      const reader = new FileReader();
+      reader.onload = () => { const url = String(reader.result || ''); resolve(Object.assign(entry, { data: url.slice(url.indexOf(',') + 1) })); };
+      reader.onerror = () => resolve(Object.assign(entry, { error: 'could not be read' }));
+      reader.readAsDataURL(file);
+    })));
+  }
+
   function notifySelectedFiles() {
     try { vscode.postMessage({ command: 'selectedFilesChanged', files: selectedFiles.map(f => f.path) }); } catch (e) {}
   }
@@ -738,6 +1171,8 @@ function createInlineEditor(userNode, initialText) {
     if (!modelListEl) return;
     modelListEl.innerHTML = '';
     if (!models || !Array.isArray(models)) return;
+    modelsById = {};
+    models.forEach(m => { modelsById[m.id] = m; });
     models.forEach(m => {
       const li = document.createElement('li');
       li.className = 'px-4 py-2 hover:bg-gray-700 cursor-pointer';
@@ -749,13 +1184,26 @@ function createInlineEditor(userNode, initialText) {
           const btnSpan = modelDropdown.querySelector('button span');
           if (btnSpan) btnSpan.textContent = m.name || m.id;
         } catch (e) {}
+        // re-render so attached images show whether this model will get them
+        renderSelectedFileChips();
       });
       modelListEl.appendChild(li);
     });
+    const refreshLi = document.createElement('li');
+    refreshLi.className = 'model-refresh px-4 py-2 hover:bg-gray-700 cursor-pointer text-xs text-gray-400';
+    refreshLi.textContent = '↻ Refresh models';
+    refreshLi.title = 'Fetch the latest model lists from the providers';
+    refreshLi.addEventListener('click', (ev) => {
+      ev.stopPropagation();
+      refreshLi.textContent = 'Refreshing models...';
+      try { vscode.postMessage({ command: 'getModels', refresh: true }); } catch (e) { console.error(e); }
+    });
+    modelListEl.appendChild(refreshLi);
     if (!selectedModelId && models.length) {
       selectedModelId = models[0].id;
       try { const btnSpan = modelDropdown.querySelector('button span'); if (btnSpan) btnSpan.textContent = models[0].name || models[0].id; } catch (e) {}
     }
+    scheduleTokenEstimate();
   }
 
   function updateModeList(modes) {
@@ -770,6 +1218,7 @@ function createInlineEditor(userNode, initialText) {
         li.addEventListener('click', () => {
           selectedModeId = m.id;
           try { const btn = document.querySelector('#mode-dropdown button span'); if (btn) btn.textContent = m.name || m.id; } catch (e) {}
+          scheduleTokenEstimate();
         });
         modeListEl.appendChild(li);
       });
@@ -780,6 +1229,97 @@ function createInlineEditor(userNode, initialText) {
     } catch (e) { console.error(e); }
   }
 
+  // Attached files as sent to the extension; files the picker cut to its size
+  // limit say so, so the model knows it is not seeing all of them. Images go
+  // only to models with vision, and token estimates skip their data.
+  function buildFilesPayload(forEstimate) {
+    if (!Array.isArray(selectedFiles) || !selectedFiles.length) return [];
+    const takesImages = selectedModelTakesImages();
+    return selectedFiles.filter(f => !f.image || takesImages).map(f => {
+      if (f.image) {
+        return forEstimate
+          ? { path: f.path, label: f.label, image: true, mimeType: f.mimeType }
+          : { path: f.path, label: f.label, image: true, mimeType: f.mimeType, data: f.data };
+      }
+      return f.truncated
+        ? { path: f.path, label: f.label, content: f.content, truncated: true }
+        : { path: f.path, label: f.label, content: f.content };
+    });
+  }
+
+  function buildPromptPayload(text, filesPayload) {
+    return filesPayload.length ? [text, { __files: true, files: filesPayload }] : text;
+  }
+
+  // Live token budget: the extension estimates the prompt as it would be sent
+  // (system prompt, history, text and files) against the model's context window.
+  let tokenEstimateTimer = null;
+  let tokenEstimateSeq = 0;
+
+  function scheduleTokenEstimate() {
+    if (!tokenBudgetEl) return;
+    clearTimeout(tokenEstimateTimer);
+    tokenEstimateTimer = setTimeout(() => {
+      if (!selectedModelId) return;
+      const text = textarea && textarea.value ? textarea.value.trim() : '';
+      try {
+        vscode.postMessage({
+          command: 'estimateTokens',
+          seq: ++tokenEstimateSeq,
+          modelId: selectedModelId,
+          modeId: selectedModeId,
+          conversationId,
+          parameters: Object.assign({}, conversationParams),
+          prompt: buildPromptPayload(text, buildFilesPayload(true))
+        });
+      } catch (e) { console.error(e); }
+    }, 300);
+  }
+
+  function formatTokenCount(n) {
+    if (n >= 1000000) return (n / 1000000).toFixed(n % 1000000 ? 1 : 0) + 'M';
+    if (n >= 1000) return (n / 1000).toFixed(n >= 10000 ? 0 : 1) + 'k';
+    return String(n);
+  }
+
+  function renderTokenEstimate(estimate) {
+    if (!tokenBudgetEl || !estimate) return;
+    const limit = Math.max(0, estimate.contextWindow - estimate.reserve);
+    tokenBudgetEl.textContent = '~' + formatTokenCount(estimate.used) + ' / ' + formatTokenCount(limit) + ' tokens';
+    tokenBudgetEl.classList.toggle('over-budget', estimate.used > limit);
+    const lines = ['Estimated prompt tokens, with ' + formatTokenCount(estimate.reserve) + ' kept free for the answer (context window ' + formatTokenCount(estimate.contextWindow) + ')'];
+    (estimate.files || []).forEach(f => { lines.push(f.label + ': ~' + formatTokenCount(f.tokens)); });
+    if (estimate.droppedTurns) lines.push('Will leave out the ' + formatTurnCount(estimate.droppedTurns, 'oldest'));
+    (estimate.trimmed || []).forEach(f => { lines.push('Will be ' + f.status + ': ' + f.label); });
+    tokenBudgetEl.title = lines.join('\n');
+  }
+
+  function formatTurnCount(n, which) {
+    return n === 1 ? which + ' turn' : n + ' ' + which + ' turns';
+  }
+
+  // Files and earlier turns the extension left out to fit the context window,
+  // listed on the answer.
+  function showTrimmedFiles(requestId, files, droppedTurns) {
+    try {
+      const node = findAssistantNode(requestId);
+      const parts = [];
+      if (droppedTurns) parts.push(formatTurnCount(droppedTurns, 'earliest'));
+      (Array.isArray(files) ? files : []).forEach(f => { parts.push(f.label + ' (' + f.status + ')'); });
+      if (!node || !parts.length) return;
+      let notice = node.querySelector('.trimmed-files-notice');
+      if (!notice) {
+        notice = document.createElement('div');
+        notice.className = 'trimmed-files-notice text-xs mt-1';
+        const statsEl = node.querySelector('.message-stats');
+        node.insertBefore(notice, statsEl || null);
+      }
+      notice.textContent = 'Cut to fit the context window: ' + parts.join(', ');
+    } catch (e) {
+      console.error('Error showing trimmed files', e);
+    }
+  }
+
   async function sendCurrentPrompt() {
     const text = textarea && textarea.value ? textarea.value.trim() : '';
     if (!text) return;
@@ -792,7 +1332,7 @@ function createInlineEditor(userNode, initialText) {
       // also set the requestId on the inner `.user-message` element for selector compatibility
       try { const inner = userNode.querySelector('.user-message'); if (inner) inner.dataset.requestId = requestId; } catch (e) {}
       // render any attached files as chips under the user message
-      renderSentFileChips(userNode, selectedFiles || []);
+      renderSentFileChips(userNode, buildFilesPayload());
       // editing/reload actions happen via assistant controls or inline controls when editing
     }
     if (textarea) textarea.value = '';
@@ -811,41 +1351,92 @@ function createInlineEditor(userNode, initialText) {
     }
 
     try {
-      let payloadPrompt = text;
-      const filesPayload = (selectedFiles && Array.isArray(selectedFiles) && selectedFiles.length) ? selectedFiles.map(f => ({ path: f.path, label: f.label, content: f.content })) : [];
-      if (filesPayload.length) {
-        payloadPrompt = [text, { __files: true, files: filesPayload }];
-      }
+      const filesPayload = buildFilesPayload();
+      const payloadPrompt = buildPromptPayload(text, filesPayload);
       // store metadata for reload/edit actions
       messageStore.set(String(requestId), { prompt: payloadPrompt, modelId: selectedModelId, modeId: selectedModeId, files: filesPayload });
-      vscode.postMessage({ command: 'sendPrompt', modelId: selectedModelId, prompt: payloadPrompt, requestId, modeId: selectedModeId });
+      postPrompt({ modelId: selectedModelId, prompt: payloadPrompt, requestId, modeId: selectedModeId, conversationId });
     } catch (e) {
       console.error('Failed to post sendPrompt', e);
     }
   }
 
   if (textarea) {
+    textarea.addEventListener('input', scheduleTokenEstimate);
     textarea.addEventListener('keydown', (ev) => {
       if (ev.key === 'Enter' && !ev.shiftKey) {
         ev.preventDefault();
         sendCurrentPrompt();
       }
     });
+    // pasted screenshots become image attachments; pasted text is left alone
+    textarea.addEventListener('paste', (ev) => {
+      const files = ev.clipboardData ? Array.from(ev.clipboardData.files || []) : [];
+      if (!files.some(file => IMAGE_MIME_TYPES.includes(file.type))) return;
+      ev.preventDefault();
+      readImageFiles(files).then(addAttachments).catch(e => console.error('paste failed', e));
+    });
+  }
+
+  const inputArea = document.querySelector('.input-area');
+  if (inputArea) {
+    inputArea.addEventListener('dragover', (ev) => {
+      if (ev.dataTransfer && Array.from(ev.dataTransfer.types || []).includes('Files')) ev.preventDefault();
+    });
+    inputArea.addEventListener('drop', (ev) => {
+      const files = ev.dataTransfer ? Array.from(ev.dataTransfer.files || []) : [];
+      if (!files.length) return;
+      ev.preventDefault();
+      if (!files.some(file => IMAGE_MIME_TYPES.includes(file.type))) {
+        showAttachmentNotice('Only PNG, JPEG and WebP images can be dropped here; use Attach for other files');
+        return;
+      }
+      readImageFiles(files).then(addAttachments).catch(e => console.error('drop failed', e));
+    });
+  }
+
+  if (sendBtn) sendBtn.addEventListener('click', (ev) => {
+    ev.preventDefault();
+    if (pendingRequests.size > 0) cancelPendingRequests();
+    else sendCurrentPrompt();
+  });
+
+  if (paramsBtn && paramsPanel) {
+    paramsBtn.addEventListener('click', (ev) => {
+      ev.preventDefault();
+      paramsPanel.style.display = paramsPanel.style.display === 'none' ? 'block' : 'none';
+    });
+    paramsPanel.addEventListener('input', () => {
+      conversationParams = readParamsPanel();
+      updateParamsButton();
+      scheduleTokenEstimate();
+    });
+    const resetBtn = paramsPanel.querySelector('#params-reset');
+    if (resetBtn) resetBtn.addEventListener('click', resetParamsPanel);
+    document.addEventListener('click', (ev) => {
+      if (!paramsPanel.contains(ev.target) && !paramsBtn.contains(ev.target)) paramsPanel.style.display = 'none';
+    });
   }
 
   if (attachFileChip) attachFileChip.addEventListener('click', () => { try { vscode.postMessage({ command: 'openFilePicker' }); } catch (e) {} });
   if (setupApiBtn) setupApiBtn.addEventListener('click', () => { try { vscode.postMessage({ command: 'openApiKeySetup' }); } catch (e) {} });
-  if (newChatBtn) newChatBtn.addEventListener('click', () => { if (chatMessagesContainer) chatMessagesContainer.innerHTML = ''; });
+  if (newChatBtn) newChatBtn.addEventListener('click', () => {
+    if (chatMessagesContainer) chatMessagesContainer.innerHTML = '';
+    cancelPendingRequests();
+    try { vscode.postMessage({ command: 'clearConversation', conversationId }); } catch (e) { console.error(e); }
+    conversationId = newConversationId();
+    messageStore.clear();
+    streamStore.clear();
+    resetParamsPanel();
+    scheduleTokenEstimate();
+  });
 
   window.addEventListener('message', event => {
     const m = event.data;
     if (!m || !m.command) return;
     switch (m.command) {
       case 'filesSelected':
-        if (Array.isArray(m.files)) {
-          m.files.forEach(f => { if (!selectedFiles.find(sf => sf.path === f.path)) selectedFiles.push(f); });
-          renderSelectedFileChips();
-        }
+        if (Array.isArray(m.files)) addAttachments(m.files);
         break;
       case 'filePickerCanceled': break;
       case 'filePickerError':
@@ -861,9 +1452,29 @@ function createInlineEditor(userNode, initialText) {
           updateModeList(m.modes);
         }
         break;
+      case 'promptDelta':
+        applyPromptDelta(m.requestId, m.delta);
+        break;
+      case 'promptStatus':
+        applyPromptStatus(m.requestId, m.status);
+        break;
+      case 'tokenEstimate':
+        // drop answers to estimates that have since been superseded
+        if (m.seq === tokenEstimateSeq) renderTokenEstimate(m.estimate);
+        break;
       case 'promptResponse':
+        pendingRequests.delete(String(m.requestId));
+        updateSendButton();
+        // the answer is now part of the history the next prompt carries
+        scheduleTokenEstimate();
+        if (m.stopped) {
+          markStopped(m.requestId);
+          break;
+        }
         try {
           const rid = m.requestId;
+          const streamed = streamStore.get(String(rid));
+          streamStore.delete(String(rid));
           const nodes = chatMessagesContainer.querySelectorAll('[data-request-id]');
           let found = null;
           nodes.forEach(n => { if (n.dataset.requestId === String(rid)) found = n; });
@@ -873,18 +1484,17 @@ function createInlineEditor(userNode, initialText) {
                        (m.error ? ('Error: ' + m.error) : 
                        (m.response && m.response.raw ? JSON.stringify(m.response.raw) : '')));
 
-          const thinking = m.response && m.response.thinking_text ? m.response.thinking_text :
-                       (m.response && m.response.text ? m.response.text : 
-                       (m.error ? ('Error: ' + m.error) : 
-                       (m.response && m.response.raw ? JSON.stringify(m.response.raw) : '')));
+          const thinking = m.response && m.response.thinking_text ? m.response.thinking_text : '';
 
           if (found) {
             const textEl = found.querySelector('.message-text');
             const metaEl = found.querySelector('.message-meta');
             const thinkingEl = found.querySelector('.thinking-text');
             
-            if (textEl) renderMessageContent(textEl, text);
-            if (thinkingEl) renderMessageContent(thinkingEl, thinking);
+            if (m.errorInfo) renderErrorBubble(found, m.errorInfo, streamed ? streamed.text : '');
+            else if (textEl && m.response && m.response.structured) renderStructuredResponse(textEl, m.response.structured, text);
+            else if (textEl) renderMessageContent(textEl, text);
+            if (thinkingEl) thinkingEl.textContent = thinking;
 
             if (metaEl) {
               const spinnerEl = metaEl.querySelector('.assistant-spinner');
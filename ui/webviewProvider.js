@@ -2,6 +2,16 @@ const fs = require("fs");
 const path = require("path");
 const vscode = require("vscode");
 
+// Image types the multimodal providers accept, by file extension
+const IMAGE_TYPES = {
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".webp": "image/webp",
+};
+// Inline images count against the request size; providers cap requests at ~20 MB.
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
 let routerFactory;
 try {
   routerFactory = require("../route/route").createRouter;
@@ -12,6 +22,8 @@ try {
 class MyWebviewProvider {
   constructor(context) {
     this.context = context;
+    // AbortControllers of in-flight sendPrompt requests, by requestId
+    this.pendingRequests = new Map();
   }
   safeRead(filePath, fallback) {
     try {
@@ -25,6 +37,41 @@ class MyWebviewProvider {
       return fallback;
     }
   }
+  // Reads at most maxBytes of an attached file. Larger files come back cut
+  // (at a line break where possible) with `truncated` and their full `size`.
+  readAttachment(filePath, maxBytes) {
+    let fd;
+    try {
+      const size = fs.statSync(filePath).size;
+      if (size <= maxBytes) return { content: this.safeRead(filePath, "") };
+      fd = fs.openSync(filePath, "r");
+      const buf = Buffer.alloc(maxBytes);
+      const read = fs.readSync(fd, buf, 0, maxBytes, 0);
+      let content = buf.toString("utf8", 0, read);
+      const lastBreak = content.lastIndexOf("\n");
+      if (lastBreak > 0) content = content.slice(0, lastBreak);
+      return { content, truncated: true, size };
+    } catch (err) {
+      console.error("Failed to read", filePath, err && err.message ? err.message : err);
+      return { content: "" };
+    } finally {
+      if (fd !== undefined) fs.closeSync(fd);
+    }
+  }
+  // Images are attached whole, base64 encoded; ones over MAX_IMAGE_BYTES come
+  // back with `error` instead of data.
+  readImageAttachment(filePath) {
+    const mimeType = IMAGE_TYPES[path.extname(filePath).toLowerCase()];
+    try {
+      const size = fs.statSync(filePath).size;
+      if (size > MAX_IMAGE_BYTES)
+        return { image: true, mimeType, size, error: `larger than ${MAX_IMAGE_BYTES / 1024 / 1024} MB` };
+      return { image: true, mimeType, size, data: fs.readFileSync(filePath).toString("base64") };
+    } catch (err) {
+      console.error("Failed to read", filePath, err && err.message ? err.message : err);
+      return { image: true, mimeType, error: "could not be read" };
+    }
+  }
   resolveWebviewView(webviewView) {
     this.webviewView = webviewView;
     const extensionPath = this.context.extensionUri.fsPath;
@@ -61,6 +108,12 @@ class MyWebviewProvider {
       path.join(extensionPath, "ui", "webview-client.js")
     );
     const scriptUri = webviewView.webview.asWebviewUri(scriptPathOnDisk);
+    const markdownUri = webviewView.webview.asWebviewUri(
+      vscode.Uri.file(path.join(extensionPath, "ui", "markdown.js"))
+    );
+    const highlightUri = webviewView.webview.asWebviewUri(
+      vscode.Uri.file(path.join(extensionPath, "ui", "highlight.js"))
+    );
     const stylePathOnDisk = vscode.Uri.file(
       path.join(extensionPath, "ui", "webview-styles.css")
     );
@@ -88,6 +141,8 @@ class MyWebviewProvider {
         </div>
   ${chatUserTpl}
   ${legacyTemplates}
+  <script src="${markdownUri}"></script>
+  <script src="${highlightUri}"></script>
   <script src="${scriptUri}"></script>
       </body>
       </html>
@@ -117,7 +172,7 @@ class MyWebviewProvider {
             console.log("Selected files from webview:", message.files);
             return;
           case "openApiKeySetup":
-            this.openApiKeySetup();
+            this.openApiKeySetup(message.providerId);
             return;
           case "getApiKey":
             this.getApiKey(message.client);
@@ -125,7 +180,7 @@ class MyWebviewProvider {
           case "getModels":
             try {
               const models = this.router
-                ? await this.router.getModels()
+                ? await this.router.getModels({ refresh: !!message.refresh })
                 : { flatList: [] };
               this.webviewView.webview.postMessage({
                 command: "modelsResponse",
@@ -157,7 +212,10 @@ class MyWebviewProvider {
               });
             }
             return;
-          case "sendPrompt":
+          case "sendPrompt": {
+            // cancelPrompt aborts the provider request through this controller
+            const controller = new AbortController();
+            this.pendingRequests.set(String(message.requestId), controller);
             try {
               const modelId = message.modelId;
               const prompt = message.prompt;
@@ -171,7 +229,38 @@ class MyWebviewProvider {
                 return;
               }
               
-              // If the router has provider metadata, prefer provider-specific senders
+              // Forward streamed deltas so the webview can render the answer
+              // while the provider is still generating it.
+              const onDelta = (delta) => {
+                this.webviewView.webview.postMessage({
+                  command: "promptDelta",
+                  requestId,
+                  delta,
+                });
+              };
+
+              // Progress that isn't model output, e.g. retry countdowns
+              const onStatus = (status) => {
+                this.webviewView.webview.postMessage({
+                  command: "promptStatus",
+                  requestId,
+                  status,
+                });
+              };
+
+              // conversationId threads history between turns; `replaces` names
+              // the request an edit or reload supersedes; `parameters` are the
+              // conversation's generation overrides from the parameters panel.
+              const sendOptions = {
+                onDelta,
+                onStatus,
+                requestId,
+                conversationId: message.conversationId,
+                replaces: message.replaces,
+                parameters: message.parameters,
+                signal: controller.signal,
+              };
+
               let resp;
               // If a specific mode is requested, run it (modes can perform pre/post processing)
               if (modeId && typeof this.router.runMode === "function") {
@@ -181,30 +270,16 @@ class MyWebviewProvider {
                     modelId,
                     prompt,
                     requestId,
+                    options: sendOptions,
                   });
                 } catch (e) {
+                  // provider failures carry `info` for the error bubble
+                  if (controller.signal.aborted || (e && e.info)) throw e;
                   resp = { raw: null, text: String(e) };
                 }
               } else {
-                try {
-                  const byId = this.router.getModels
-                    ? (await this.router.getModels()).byId
-                    : {};
-                  const modelMeta =
-                    byId && byId[modelId] ? byId[modelId] : null;
-                  if (
-                    modelMeta &&
-                    modelMeta.provider === "nvidia" &&
-                    typeof this.router.sendPromptNvidia === "function"
-                  ) {
-                    resp = await this.router.sendPromptNvidia(modelId, prompt);
-                  } else {
-                    resp = await this.router.sendPrompt(modelId, prompt);
-                  }
-                } catch {
-                  // fallback to generic sendPrompt
-                  resp = await this.router.sendPrompt(modelId, prompt);
-                }
+                // the router picks the provider from the model's metadata
+                resp = await this.router.sendPrompt(modelId, prompt, undefined, sendOptions);
               }
               // Use parser to extract exact plain_text and thinking_text when available
               try {
@@ -219,6 +294,11 @@ class MyWebviewProvider {
                 responseForUI.thinking_text = parsed.thinking_text;
                 responseForUI.metadata =
                   parsed.metadata || responseForUI.metadata || {};
+                if (resp && resp.model) {
+                  responseForUI.metadata.model = resp.model;
+                  responseForUI.metadata.requestedModel = resp.requestedModel;
+                }
+                if (resp && resp.reasoningMs) responseForUI.metadata.reasoningMs = resp.reasoningMs;
                 this.webviewView.webview.postMessage({
                   command: "promptResponse",
                   requestId,
@@ -234,11 +314,54 @@ class MyWebviewProvider {
               }
             } catch (err) {
               const requestId = message.requestId;
+              if (controller.signal.aborted) {
+                // the webview keeps whatever partial text it already streamed
+                this.webviewView.webview.postMessage({
+                  command: "promptResponse",
+                  requestId,
+                  stopped: true,
+                });
+              } else {
+                this.webviewView.webview.postMessage({
+                  command: "promptResponse",
+                  requestId,
+                  error: err && err.info ? err.message : String(err),
+                  errorInfo: err && err.info ? err.info : null,
+                });
+              }
+            } finally {
+              this.pendingRequests.delete(String(message.requestId));
+            }
+            return;
+          }
+          case "estimateTokens": {
+            // live token budget for the input area
+            try {
+              if (!this.router || typeof this.router.estimatePrompt !== "function") return;
+              const estimate = await this.router.estimatePrompt(
+                message.modelId,
+                message.prompt,
+                message.modeId,
+                { conversationId: message.conversationId, parameters: message.parameters }
+              );
               this.webviewView.webview.postMessage({
-                command: "promptResponse",
-                requestId,
-                error: String(err),
+                command: "tokenEstimate",
+                seq: message.seq,
+                estimate,
               });
+            } catch (err) {
+              console.error("Token estimate failed", err);
+            }
+            return;
+          }
+          case "cancelPrompt": {
+            const controller = this.pendingRequests.get(String(message.requestId));
+            if (controller) controller.abort();
+            return;
+          }
+          case "clearConversation":
+            if (this.router && typeof this.router.clearConversation === "function") {
+              this.router.clearConversation(message.conversationId);
             }
             return;
           case "legacyModeConfirmationResponse":
@@ -251,30 +374,54 @@ class MyWebviewProvider {
     );
   }
 
-  async openApiKeySetup() {
+  // Opens the stored usage totals as a Markdown document.
+  async showUsageSummary() {
     try {
-      const clients = ["gemini", "nvidia"];
-      const clientNames = {
-        gemini: "Google Gemini",
-        nvidia: "NVIDIA AI",
-      };
+      const router =
+        this.router || (routerFactory ? routerFactory(this.context) : null);
+      if (!router || typeof router.getUsageSummary !== "function") {
+        vscode.window.showErrorMessage("Usage summary not available");
+        return;
+      }
+      const doc = await vscode.workspace.openTextDocument({
+        content: router.getUsageSummary(),
+        language: "markdown",
+      });
+      await vscode.window.showTextDocument(doc, { preview: true });
+    } catch (err) {
+      console.error("Error showing usage summary", err);
+      vscode.window.showErrorMessage("Error showing usage summary: " + String(err));
+    }
+  }
 
-      const selectedClient = await vscode.window.showQuickPick(
-        clients.map((client) => ({
-          label: clientNames[client],
-          description: `Configure API key for ${clientNames[client]}`,
-          client: client,
-        })),
-        {
+  // providerId skips the provider picker, e.g. from an error's "Set API key".
+  async openApiKeySetup(providerId) {
+    try {
+      // the command can run before the view has resolved and built its router
+      const router =
+        this.router || (routerFactory ? routerFactory(this.context) : null);
+      const clients =
+        router && typeof router.listProviders === "function"
+          ? router.listProviders().filter((p) => p.keySetting)
+          : [];
+      const items = clients.map((client) => ({
+        label: client.name,
+        description: `Configure API key for ${client.name}`,
+        client: client.id,
+        keySetting: client.keySetting,
+      }));
+
+      const selectedClient =
+        items.find((item) => providerId && item.client === providerId) ||
+        (await vscode.window.showQuickPick(items, {
           placeHolder: "Select AI client to configure",
-        }
-      );
+        }));
 
       if (!selectedClient) return;
 
       const currentKey = vscode.workspace
         .getConfiguration("vsx")
-        .get(`apiKey.${selectedClient.client}`);
+        .get(selectedClient.keySetting);
       const hasKey = currentKey && currentKey.length > 0;
 
       const action = await vscode.window.showQuickPick(
@@ -312,7 +459,7 @@ class MyWebviewProvider {
         await vscode.workspace
           .getConfiguration("vsx")
           .update(
-            `apiKey.${selectedClient.client}`,
+            selectedClient.keySetting,
             undefined,
             vscode.ConfigurationTarget.Global
           );
@@ -347,7 +494,7 @@ class MyWebviewProvider {
           await vscode.workspace
             .getConfiguration("vsx")
             .update(
-              `apiKey.${selectedClient.client}`,
+              selectedClient.keySetting,
               apiKey.trim(),
               vscode.ConfigurationTarget.Global
             );
@@ -374,9 +521,10 @@ class MyWebviewProvider {
 
   async getApiKey(client) {
     try {
-      const apiKey = vscode.workspace
-        .getConfiguration("vsx")
-        .get(`apiKey.${client}`);
+      const apiKey =
+        this.router && typeof this.router.getApiKey === "function"
+          ? this.router.getApiKey(client)
+          : null;
       this.webviewView.webview.postMessage({
         command: "apiKeyResponse",
         client: client,
@@ -412,11 +560,18 @@ class MyWebviewProvider {
         canPickMany: true,
       });
       if (selection && selection.length > 0) {
-        const filesData = selection.map((s) => ({
-          path: s.description,
-          label: s.label,
-          content: this.safeRead(s.description, ""),
-        }));
+        const maxKB = Number(
+          vscode.workspace.getConfiguration("vsx").get("attachments.maxFileSizeKB")
+        );
+        const maxBytes = (Number.isFinite(maxKB) && maxKB > 0 ? maxKB : 256) * 1024;
+        const filesData = selection.map((s) =>
+          Object.assign(
+            { path: s.description, label: s.label },
+            IMAGE_TYPES[path.extname(s.description).toLowerCase()]
+              ? this.readImageAttachment(s.description)
+              : this.readAttachment(s.description, maxBytes)
+          )
+        );
         this.webviewView.webview.postMessage({
           command: "filesSelected",
           files: filesData,